@@ -0,0 +1,95 @@
+'use strict';
+
+// ─── Car physics ─────────────────────────────────────────────────────────────
+// Accepted clicks are throttle, not distance. Each one adds speed up to the
+// car's top speed, and between clicks the car coasts and drag bleeds the speed
+// away, so a steady rhythm carries momentum and a pause costs ground.
+//
+// Distance is measured in the race's own unit (clicksToFinish), speed in those
+// units per second. Every profile provides:
+//   label          shown on the landing screen
+//   topSpeed       throttle never pushes the car past this
+//   acceleration   speed each counted click adds
+//   grip           0–1; the more grip, the less speed the car scrubs off when
+//                  the driver lifts (drag is COAST_DRAG × (2 − grip))
+
+const CAR_PROFILES = {
+  'a-class': { label: 'A-Class',  topSpeed: 8,    acceleration: 1.3,  grip: 0.7 },
+  'cla':     { label: 'CLA',      topSpeed: 10.5, acceleration: 1.1,  grip: 0.6 },
+  'amg-gt':  { label: 'AMG GT',   topSpeed: 11.5, acceleration: 1.05, grip: 0.55 },
+  '300sl':   { label: '300 SL',   topSpeed: 9.5,  acceleration: 0.95, grip: 0.9 },
+  'amg-gtr': { label: 'AMG GT R', topSpeed: 13,   acceleration: 1,    grip: 0.5 },
+  'c-class': { label: 'C-Class',  topSpeed: 10,   acceleration: 1.1,  grip: 0.65 },
+};
+
+const DEFAULT_CAR = 'a-class';
+
+const COAST_DRAG = 0.8;          // per second
+const NITRO_TOP_SPEED = 1.3;     // a nitro boost lifts the speed limit by this much
+const STOP_SPEED = 0.05;         // slower than this the car has rolled to a halt
+
+function dragOf(profile) {
+  return COAST_DRAG * (2 - profile.grip);
+}
+
+function createCarState() {
+  return {
+    distance: 0,
+    speed: 0,
+    movedAt: null,   // when distance was last brought up to date
+    splits: [],      // when the car passed each whole unit of distance
+  };
+}
+
+// How long a car coasting at `speed` takes to cover `gap`, or Infinity if it
+// rolls to a halt first. Coasting speed decays as speed × e^(−drag·t).
+function coastTime(speed, drag, gap) {
+  const reach = (gap * drag) / speed;
+  return reach < 1 ? -Math.log(1 - reach) / drag : Infinity;
+}
+
+// Coasts the car on to `now`, stopping at `limit` (the end of the driver's
+// distance). Returns the moment the car reached the limit, or null.
+function coast(car, profile, now, limit) {
+  if (car.movedAt == null || now <= car.movedAt) {
+    car.movedAt = Math.max(car.movedAt == null ? now : car.movedAt, now);
+    return null;
+  }
+  const from = car.movedAt;
+  car.movedAt = now;
+  if (car.speed <= 0) return null;
+
+  const drag = dragOf(profile);
+  const elapsed = (now - from) / 1000;
+  const decay = Math.exp(-drag * elapsed);
+  const end = Math.min(limit, car.distance + (car.speed / drag) * (1 - decay));
+
+  for (let mark = Math.floor(car.distance) + 1; mark <= end; mark++) {
+    car.splits.push(Math.round(from + coastTime(car.speed, drag, mark - car.distance) * 1000));
+  }
+
+  let arrivedAt = null;
+  if (end >= limit) {
+    arrivedAt = Math.min(now, Math.round(from + coastTime(car.speed, drag, limit - car.distance) * 1000));
+  }
+  car.distance = end;
+  car.speed = car.speed * decay < STOP_SPEED ? 0 : car.speed * decay;
+  return arrivedAt;
+}
+
+// Counted clicks push the car towards its top speed; a speed already above it
+// (left over from a boost) is kept, never cut back
+function throttle(car, profile, clicks, { boosted = false } = {}) {
+  const topSpeed = profile.topSpeed * (boosted ? NITRO_TOP_SPEED : 1);
+  car.speed = Math.max(car.speed, Math.min(topSpeed, car.speed + profile.acceleration * clicks));
+}
+
+// The car's numbers as shown on the landing screen, plus the drag and boost
+// the client needs to predict its own car between server updates
+function publicProfile(model) {
+  const profile = CAR_PROFILES[model];
+  const { label, topSpeed, acceleration, grip } = profile;
+  return { model, label, topSpeed, acceleration, grip, drag: dragOf(profile), nitroTopSpeed: topSpeed * NITRO_TOP_SPEED };
+}
+
+module.exports = { CAR_PROFILES, DEFAULT_CAR, createCarState, coast, throttle, publicProfile };
@@ -0,0 +1,71 @@
+'use strict';
+
+// ─── Clocks ──────────────────────────────────────────────────────────────────
+// The game server reads the time and schedules its timers only through a
+// clock, so a test or tool can swap the wall clock for one it steps by hand.
+//
+// Every clock provides:
+//   now()                     → milliseconds, like Date.now()
+//   setTimeout(fn, ms)        → handle
+//   clearTimeout(handle)
+//   setInterval(fn, ms)       → handle
+//   clearInterval(handle)
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: handle => clearTimeout(handle),
+  setInterval: (fn, ms) => setInterval(fn, ms),
+  clearInterval: handle => clearInterval(handle),
+};
+
+// Time only moves on advance(ms). Timers that come due fire in order, each
+// seeing now() at its own due time, so a race plays out the same every run.
+function createManualClock(startAt = 0) {
+  let current = startAt;
+  let nextId = 1;
+  const timers = new Map();   // handle → { at, fn, every }
+
+  function schedule(fn, ms, every) {
+    const handle = nextId++;
+    timers.set(handle, { at: current + Math.max(0, ms || 0), fn, every });
+    return handle;
+  }
+
+  function clear(handle) {
+    timers.delete(handle);
+  }
+
+  // The earliest timer due by `until`; ties go to the one scheduled first
+  function nextDue(until) {
+    let due = null;
+    for (const [handle, timer] of timers) {
+      if (timer.at <= until && (!due || timer.at < due.timer.at)) due = { handle, timer };
+    }
+    return due;
+  }
+
+  function advance(ms) {
+    const until = current + ms;
+    for (let due = nextDue(until); due; due = nextDue(until)) {
+      const { handle, timer } = due;
+      current = timer.at;
+      if (timer.every != null) timer.at += Math.max(1, timer.every);
+      else timers.delete(handle);
+      timer.fn();
+    }
+    current = until;
+  }
+
+  return {
+    now: () => current,
+    setTimeout: (fn, ms) => schedule(fn, ms, null),
+    clearTimeout: clear,
+    setInterval: (fn, ms) => schedule(fn, ms, ms),
+    clearInterval: clear,
+    advance,
+    pendingTimers: () => timers.size,
+  };
+}
+
+module.exports = { systemClock, createManualClock };
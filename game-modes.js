@@ -0,0 +1,146 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// ─── Game modes ──────────────────────────────────────────────────────────────
+// A mode decides how raw input becomes progress. The server is the only judge:
+// handleInput works from the server's receive time, never a client timestamp.
+//
+// Every mode provides:
+//   label             shown in the lobby
+//   integrityChecks   whether the click-timing cheat detector applies
+//   botPace           multiplier on CPU click rate so bots stay competitive
+//   createState(ctx)  fresh per-player state at race start; ctx = { goAt }
+//   handleInput(state, input, now)
+//                     → { advance, judgement? } when accepted (advance may be 0)
+//                     → { rejected: true, reason } when the input doesn't count
+//   publicState(state)
+//                     what the owning client needs to render its controls
+//   shiftState(state, ms)
+//                     optional; moves any timestamps in the state by ms when a
+//                     race restored after a restart picks back up
+//   unthrottled(input)
+//                     optional; true for an input the click throttle must
+//                     never drop
+
+const SEQUENCE_KEYS = ['a', 's', 'd', 'j', 'k', 'l'];
+
+const RHYTHM_BEAT_MS = 500;
+const RHYTHM_PERFECT_MS = 60;      // |offset| within this → 3 clicks
+const RHYTHM_GOOD_MS = 130;        // |offset| within this → 2 clicks
+
+const CHARGE_STEP_MS = 120;        // each step of hold time is worth one click
+const CHARGE_MAX_STEPS = 10;
+const CHARGE_OVERHEAT_MS = 1600;   // held longer than this → the charge is lost
+
+// Small deterministic PRNG; public/game.js has the same function so client and
+// server derive identical sequence prompts from a seed.
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function promptAt(seed, index) {
+  const rand = mulberry32((seed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0);
+  return SEQUENCE_KEYS[Math.floor(rand() * SEQUENCE_KEYS.length)];
+}
+
+const GAME_MODES = {
+  alternate: {
+    label: 'A/B Alternate',
+    integrityChecks: true,
+    botPace: 1,
+    createState: () => ({ nextKey: 'a' }),
+    handleInput(state, { key }) {
+      if (key !== state.nextKey) return { rejected: true, reason: 'wrong-key' };
+      state.nextKey = key === 'a' ? 'b' : 'a';
+      return { advance: 1 };
+    },
+    publicState: state => ({ nextKey: state.nextKey }),
+  },
+
+  sequence: {
+    label: 'Key Sequence',
+    integrityChecks: true,
+    botPace: 0.5,
+    createState: () => ({ seed: crypto.randomInt(2 ** 31), index: 0 }),
+    handleInput(state, { key }) {
+      if (key !== promptAt(state.seed, state.index)) return { rejected: true, reason: 'wrong-key' };
+      state.index++;
+      return { advance: 1 };
+    },
+    publicState: state => ({ seed: state.seed, index: state.index }),
+  },
+
+  rhythm: {
+    label: 'Rhythm',
+    integrityChecks: false,   // a steady rhythm is the whole point here
+    botPace: 0.5,
+    createState: ({ goAt }) => ({ goAt, lastBeat: 0, lockedBeat: 0 }),
+    handleInput(state, input, now) {
+      const sinceGo = now - state.goAt;
+      const beat = Math.round(sinceGo / RHYTHM_BEAT_MS);
+      const offset = Math.abs(sinceGo - beat * RHYTHM_BEAT_MS);
+
+      // An off-beat press costs the next beat, so mashing never pays
+      if (beat < 1 || offset > RHYTHM_GOOD_MS) {
+        state.lockedBeat = Math.max(state.lockedBeat, beat + 1);
+        return { rejected: true, reason: 'off-beat' };
+      }
+      if (beat <= state.lastBeat || beat <= state.lockedBeat) {
+        return { rejected: true, reason: beat <= state.lastBeat ? 'double-tap' : 'locked' };
+      }
+
+      state.lastBeat = beat;
+      return offset <= RHYTHM_PERFECT_MS
+        ? { advance: 3, judgement: 'perfect' }
+        : { advance: 2, judgement: 'good' };
+    },
+    publicState: state => ({ beatMs: RHYTHM_BEAT_MS, lastBeat: state.lastBeat }),
+    shiftState(state, ms) {
+      state.goAt += ms;
+    },
+  },
+
+  charge: {
+    label: 'Hold & Release',
+    integrityChecks: false,
+    botPace: 0.65,
+    createState: () => ({ downAt: null }),
+    handleInput(state, { action }, now) {
+      if (action === 'down') {
+        if (state.downAt == null) state.downAt = now;
+        return { advance: 0 };
+      }
+      if (action !== 'up' || state.downAt == null) return { rejected: true, reason: 'not-charging' };
+
+      const held = now - state.downAt;
+      state.downAt = null;
+      if (held > CHARGE_OVERHEAT_MS) return { rejected: true, reason: 'overheat' };
+      const steps = Math.min(CHARGE_MAX_STEPS, Math.floor(held / CHARGE_STEP_MS));
+      if (steps === 0) return { rejected: true, reason: 'too-short' };
+      return { advance: steps, judgement: steps === CHARGE_MAX_STEPS ? 'full' : 'partial' };
+    },
+    publicState: () => ({
+      stepMs: CHARGE_STEP_MS,
+      maxSteps: CHARGE_MAX_STEPS,
+      overheatMs: CHARGE_OVERHEAT_MS,
+    }),
+    shiftState(state, ms) {
+      if (state.downAt != null) state.downAt += ms;
+    },
+    // Dropping a release would leave the hold running, and the next press
+    // would carry on from the old one
+    unthrottled: ({ action }) => action === 'up',
+  },
+};
+
+const DEFAULT_MODE = 'alternate';
+
+module.exports = { GAME_MODES, DEFAULT_MODE, promptAt };
@@ -0,0 +1,131 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ─── File-backed leaderboard ─────────────────────────────────────────────────
+// Finish times are appended to a newline-delimited JSON file and the whole log
+// is loaded into memory on boot. One line per finish keeps writes append-only,
+// so a crash can at worst lose the line being written.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+const DEFAULT_MODE = 'alternate';   // entries written before game modes existed
+
+// Times used to run from the start button and so included the countdown,
+// which hosts can change; only entries timed from GO are comparable.
+const TIMED_FROM = 'go';
+
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+function nameKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function modeOf(entry) {
+  return entry.mode || DEFAULT_MODE;
+}
+
+function loadEntries(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (_) {
+      // A torn final line from a crash mid-write — skip it
+    }
+  }
+  return entries;
+}
+
+// `now` stamps new entries; it defaults to the wall clock
+function createLeaderboard(filePath, { now: clockNow = Date.now } = {}) {
+  const entries = loadEntries(filePath).filter(entry => entry.timedFrom === TIMED_FROM);
+  const bestByName = new Map();   // 'name|distance|mode' → best entry
+  entries.forEach(trackBest);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function trackBest(entry) {
+    const key = nameKey(entry.name) + '|' + entry.distance + '|' + modeOf(entry);
+    const best = bestByName.get(key);
+    if (!best || entry.timeMs < best.timeMs) bestByName.set(key, entry);
+  }
+
+  function personalBest(name, distance, mode = DEFAULT_MODE) {
+    return bestByName.get(nameKey(name) + '|' + distance + '|' + mode) || null;
+  }
+
+  // Records a race's finishers. Returns, per entry, whether it set a new PB
+  // and the previous best it beat (null on a driver's first recorded finish).
+  function record(finishers) {
+    const now = clockNow();
+    const outcomes = finishers.map(f => {
+      const entry = {
+        name: f.name,
+        carModel: f.carModel,
+        timeMs: f.timeMs,
+        timedFrom: TIMED_FROM,
+        distance: f.distance,
+        mode: f.mode || DEFAULT_MODE,
+        roomCode: f.roomCode,
+        recordedAt: now,
+        day: dayKey(now),
+      };
+      const previous = personalBest(entry.name, entry.distance, entry.mode);
+      entries.push(entry);
+      trackBest(entry);
+      return {
+        personalBest: !previous || entry.timeMs < previous.timeMs,
+        previousBest: previous ? previous.timeMs : null,
+      };
+    });
+
+    if (finishers.length) {
+      const lines = entries.slice(-finishers.length).map(e => JSON.stringify(e)).join('\n') + '\n';
+      fs.appendFile(filePath, lines, err => {
+        if (err) console.error('Failed to write leaderboard:', err.message);
+      });
+    }
+    return outcomes;
+  }
+
+  // Fastest times, one entry per driver, optionally narrowed to a car or a day
+  function top({ carModel = null, day = null, distance = 100, mode = DEFAULT_MODE, limit = DEFAULT_LIMIT } = {}) {
+    const bestPerDriver = new Map();
+    for (const entry of entries) {
+      if (entry.distance !== distance) continue;
+      if (modeOf(entry) !== mode) continue;
+      if (carModel && entry.carModel !== carModel) continue;
+      if (day && entry.day !== day) continue;
+      const key = nameKey(entry.name);
+      const best = bestPerDriver.get(key);
+      if (!best || entry.timeMs < best.timeMs) bestPerDriver.set(key, entry);
+    }
+    const size = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+    return [...bestPerDriver.values()]
+      .sort((a, b) => a.timeMs - b.timeMs || a.recordedAt - b.recordedAt)
+      .slice(0, size)
+      .map((e, i) => ({
+        position: i + 1,
+        name: e.name,
+        carModel: e.carModel,
+        timeMs: e.timeMs,
+        day: e.day,
+      }));
+  }
+
+  return { record, top, personalBest };
+}
+
+module.exports = { createLeaderboard, dayKey };
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { io } = require('socket.io-client');
+
+// ─── Load test ───────────────────────────────────────────────────────────────
+// Races simulated drivers against one server instance and reports how it held
+// up: click-to-broadcast latency, missed progress updates, and the server's
+// CPU, memory and event-loop delay.
+//
+//   npm run load-test -- --rooms 20 --drivers 8
+//
+// Options:
+//   --rooms N      rooms racing at once (default 10)
+//   --drivers N    drivers per room, 1–16 (default 4)
+//   --cps N        clicks per second per driver, 1–12 (default 8)
+//   --distance N   race distance (default 100)
+//   --races N      races per room, back to back (default 1)
+//   --url URL      load a server that is already running instead
+//
+// Without --url a fresh server is forked with an in-memory store and
+// throwaway data files, so its CPU and memory are measured apart from the
+// drivers. Server figures aren't available for a --url target.
+
+const DEFAULTS = { rooms: 10, drivers: 4, cps: 8, distance: 100, races: 1, url: null };
+const LIMITS = {
+  rooms:    { min: 1, max: 1000 },
+  drivers:  { min: 1, max: 16 },
+  cps:      { min: 1, max: 12 },     // faster trips the server's click monitor
+  distance: { min: 10, max: 1000 },
+  races:    { min: 1, max: 100 },
+};
+
+const CLICK_JITTER = 0.3;            // ± share of the click gap; steady clicks look scripted
+const PING_EVERY_MS = 2000;
+const STATS_EVERY_MS = 1000;
+const EVENT_TIMEOUT_MS = 15000;
+const RACE_TIMEOUT_MS = 5 * 60 * 1000;
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match || !Object.prototype.hasOwnProperty.call(DEFAULTS, match[1])) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    const [, name, inline] = match;
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) throw new Error(`--${name} needs a value`);
+    if (name === 'url') {
+      options.url = value;
+      continue;
+    }
+    const number = Number(value);
+    const { min, max } = LIMITS[name];
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new Error(`--${name} must be a whole number from ${min} to ${max}`);
+    }
+    options[name] = number;
+  }
+  return options;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function nextEvent(socket, event, timeoutMs = EVENT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`no ${event} within ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+    function onEvent(payload) {
+      clearTimeout(timer);
+      resolve(payload);
+    }
+    socket.once(event, onEvent);
+  });
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// ─── Forked server ───────────────────────────────────────────────────────────
+
+function serve() {
+  const { createGameServer } = require('./server');
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mercedes-race-load-'));
+  const game = createGameServer({
+    config: {
+      port: 0,
+      redisUrl: null,
+      leaderboardFile: path.join(dataDir, 'leaderboard.ndjson'),
+      roomsSnapshotFile: null,
+    },
+  });
+
+  const loopDelay = monitorEventLoopDelay();
+  loopDelay.enable();
+  let lastCpu = process.cpuUsage();
+  let lastAt = process.hrtime.bigint();
+  setInterval(() => {
+    const now = process.hrtime.bigint();
+    const cpu = process.cpuUsage(lastCpu);
+    const elapsedMicros = Number(now - lastAt) / 1000;
+    const { rss, heapUsed } = process.memoryUsage();
+    process.send({
+      type: 'stats',
+      cpuPercent: ((cpu.user + cpu.system) / elapsedMicros) * 100,
+      rss,
+      heapUsed,
+      loopDelayMs: loopDelay.percentile(99) / 1e6,
+    });
+    lastCpu = process.cpuUsage();
+    lastAt = now;
+    loopDelay.reset();
+  }, STATS_EVERY_MS);
+
+  game.start().then(port => process.send({ type: 'ready', port }));
+  // The load test is over once the parent lets go
+  process.on('disconnect', () => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    process.exit(0);
+  });
+}
+
+function forkServer(serverStats) {
+  const child = fork(__filename, ['--serve']);
+  const ready = new Promise((resolve, reject) => {
+    child.on('message', message => {
+      if (message.type === 'ready') resolve(message.port);
+      else if (message.type === 'stats') serverStats.push(message);
+    });
+    child.once('exit', code => reject(new Error(`server exited with code ${code}`)));
+  });
+  return { child, ready };
+}
+
+// ─── Drivers ─────────────────────────────────────────────────────────────────
+// One socket each. A driver tracks its own clicks until a broadcast shows
+// them (click-to-broadcast latency: clicks are throttle, so the first
+// broadcast that moves the driver's car after a click shows it), gaps in the
+// progress sequence (missed broadcasts) and ping round trips, which also give
+// it the server clock.
+
+async function connectDriver(url, metrics) {
+  const socket = io(url, { transports: ['websocket'], reconnection: false, forceNew: true });
+  await nextEvent(socket, 'connect');
+
+  const driver = {
+    socket,
+    clockOffset: 0,
+    bestRtt: Infinity,
+    sentAt: [],       // send times of clicks no broadcast has shown yet
+    lastSeq: 0,
+    done: false,
+    onDone: null,
+  };
+
+  socket.on('clock-pong', ({ clientSentAt, serverTime }) => {
+    const now = Date.now();
+    const rtt = now - clientSentAt;
+    metrics.rtts.push(rtt);
+    if (rtt < driver.bestRtt) {
+      driver.bestRtt = rtt;
+      driver.clockOffset = serverTime + rtt / 2 - now;
+    }
+  });
+  const ping = () => socket.emit('clock-ping', { clientSentAt: Date.now() });
+  ping();
+  driver.pingTimer = setInterval(ping, PING_EVERY_MS);
+
+  socket.on('race-started', () => {
+    driver.sentAt = [];
+    driver.lastSeq = 0;
+    driver.done = false;
+  });
+
+  socket.on('progress-update', ([seq, , drivers]) => {
+    metrics.updates++;
+    if (driver.lastSeq && seq > driver.lastSeq + 1) metrics.missed += seq - driver.lastSeq - 1;
+    driver.lastSeq = Math.max(driver.lastSeq, seq);
+
+    const index = drivers.indexOf(socket.id);
+    if (index === -1) return;
+    const now = Date.now();
+    for (const sentAt of driver.sentAt) metrics.latencies.push(now - sentAt);
+    driver.sentAt = [];
+  });
+
+  const finish = () => {
+    driver.done = true;
+    if (driver.onDone) driver.onDone();
+  };
+  socket.on('player-finished', ({ socketId }) => { if (socketId === socket.id) finish(); });
+  socket.on('race-finished', finish);
+  return driver;
+}
+
+function closeDriver(driver) {
+  clearInterval(driver.pingTimer);
+  driver.socket.close();
+}
+
+// Alternates A/B from GO until the line, with jittered gaps
+function drive(driver, code, goAt, options, metrics) {
+  return new Promise(resolve => {
+    driver.onDone = resolve;
+    const gapMs = 1000 / options.cps;
+    let key = 'a';
+    const click = () => {
+      if (driver.done) return;
+      driver.socket.emit('click', { roomCode: code, key });
+      driver.sentAt.push(Date.now());
+      metrics.clicks++;
+      key = key === 'a' ? 'b' : 'a';
+      setTimeout(click, gapMs * (1 - CLICK_JITTER + Math.random() * 2 * CLICK_JITTER));
+    };
+    // A few ms after GO so clock error can't turn into a false start
+    setTimeout(click, Math.max(0, goAt - driver.clockOffset - Date.now()) + 20);
+    if (driver.done) resolve();
+  });
+}
+
+async function runRoom(url, index, options, metrics) {
+  const drivers = [];
+  try {
+    for (let seat = 0; seat < options.drivers; seat++) drivers.push(await connectDriver(url, metrics));
+    const [host, ...guests] = drivers;
+    const name = seat => `Load ${index + 1}-${seat + 1}`;
+
+    host.socket.emit('create-room', { name: name(0), carModel: 'a-class' });
+    const { code } = await nextEvent(host.socket, 'room-created');
+    host.socket.emit('update-settings', {
+      roomCode: code,
+      settings: { clicksToFinish: options.distance, startDelay: 2000, lastChanceMs: 0 },
+    });
+    await nextEvent(host.socket, 'settings-updated');
+    for (const [i, guest] of guests.entries()) {
+      guest.socket.emit('join-room', { code, name: name(i + 1), carModel: 'a-class' });
+      await nextEvent(guest.socket, 'room-joined');
+    }
+
+    for (let race = 0; race < options.races; race++) {
+      if (race > 0) {
+        host.socket.emit('reset-room', { roomCode: code });
+        await nextEvent(host.socket, 'room-reset');
+      }
+      const finished = nextEvent(host.socket, 'race-finished', RACE_TIMEOUT_MS);
+      const started = Promise.all(drivers.map(d => nextEvent(d.socket, 'race-started')));
+      host.socket.emit('start-race', { roomCode: code });
+      const [{ goAt }] = await started;
+      await Promise.all(drivers.map(d => drive(d, code, goAt, options, metrics)));
+      const { results } = await finished;
+      metrics.races++;
+      metrics.flagged += results.filter(r => r.disqualified || r.flags.length).length;
+    }
+  } catch (err) {
+    metrics.failures.push(`Room ${index + 1}: ${err.message}`);
+  } finally {
+    drivers.forEach(closeDriver);
+  }
+}
+
+// ─── Report ──────────────────────────────────────────────────────────────────
+
+function formatMs(value) {
+  return value == null ? '–' : Math.round(value) + 'ms';
+}
+
+function formatMb(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+}
+
+function report(options, metrics, serverStats, elapsedMs) {
+  const latencies = metrics.latencies.slice().sort((a, b) => a - b);
+  const rtts = metrics.rtts.slice().sort((a, b) => a - b);
+  const expected = options.rooms * options.races;
+  const lines = [
+    `Rooms             ${options.rooms} × ${options.drivers} drivers, ${options.races} race(s) of ${options.distance} clicks at ${options.cps}/s`,
+    `Races finished    ${metrics.races}/${expected} in ${(elapsedMs / 1000).toFixed(1)}s`,
+    `Clicks sent       ${metrics.clicks}, ${metrics.latencies.length} shown in a broadcast`,
+    `Click → broadcast p50 ${formatMs(percentile(latencies, 50))}  p95 ${formatMs(percentile(latencies, 95))}  p99 ${formatMs(percentile(latencies, 99))}  max ${formatMs(latencies[latencies.length - 1])}`,
+    `Ping round trip   p50 ${formatMs(percentile(rtts, 50))}  p95 ${formatMs(percentile(rtts, 95))}  max ${formatMs(rtts[rtts.length - 1])}`,
+    `Progress updates  ${metrics.updates} received, ${metrics.missed} missed`,
+    `Flagged drivers   ${metrics.flagged}`,
+  ];
+  if (serverStats.length) {
+    const cpu = serverStats.map(s => s.cpuPercent);
+    lines.push(
+      `Server CPU        avg ${Math.round(cpu.reduce((a, b) => a + b, 0) / cpu.length)}%  peak ${Math.round(Math.max(...cpu))}%`,
+      `Server memory     peak rss ${formatMb(Math.max(...serverStats.map(s => s.rss)))}, peak heap ${formatMb(Math.max(...serverStats.map(s => s.heapUsed)))}`,
+      `Event loop delay  worst p99 ${formatMs(Math.max(...serverStats.map(s => s.loopDelayMs)))}`,
+    );
+  }
+  console.log(lines.join('\n'));
+  if (metrics.failures.length) console.log('\nFailures:\n  ' + metrics.failures.join('\n  '));
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+
+  const serverStats = [];
+  let server = null;
+  let url = options.url;
+  if (!url) {
+    server = forkServer(serverStats);
+    url = `http://localhost:${await server.ready}`;
+  }
+  console.log(`Load testing ${url}…\n`);
+
+  const metrics = { races: 0, clicks: 0, updates: 0, missed: 0, flagged: 0, latencies: [], rtts: [], failures: [] };
+  const startedAt = Date.now();
+  await Promise.all(Array.from({ length: options.rooms }, (_, i) => runRoom(url, i, options, metrics)));
+  const elapsedMs = Date.now() - startedAt;
+
+  if (server) {
+    // Let the last stats sample cover the end of the run
+    await sleep(STATS_EVERY_MS);
+    server.child.disconnect();
+  }
+  report(options, metrics, serverStats, elapsedMs);
+  process.exitCode = metrics.failures.length ? 1 : 0;
+}
+
+if (process.argv[2] === '--serve') {
+  serve();
+} else {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,235 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STATE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const REFRESH_MS = 3000;
+const TOKEN_KEY = 'mercedesRaceAdminToken';
+
+const PHASE_LABELS = { lobby: 'Lobby', racing: 'Racing', finished: 'Finished' };
+
+const adminState = {
+  token: sessionStorage.getItem(TOKEN_KEY),
+  selectedCode: null,
+  refreshTimer: null,
+};
+
+// ─── DOM helpers ──────────────────────────────────────────────────────────────
+
+const $ = id => document.getElementById(id);
+
+function show(el) { el.classList.remove('hidden'); }
+function hide(el) { el.classList.add('hidden'); }
+
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, ch => '&#' + ch.charCodeAt(0) + ';');
+}
+
+function formatDuration(ms) {
+  if (ms == null) return '—';
+  const totalS = Math.max(0, Math.floor(ms / 1000));
+  const h = Math.floor(totalS / 3600);
+  const m = Math.floor(totalS / 60) % 60;
+  const s = totalS % 60;
+  return h ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+function showError(message) {
+  const el = $('admin-error');
+  el.textContent = message;
+  if (message) show(el); else hide(el);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function api(method, path) {
+  const res = await fetch('/api/admin' + path, {
+    method,
+    headers: { Authorization: 'Bearer ' + adminState.token },
+  });
+  const body = await res.json().catch(() => ({}));
+  if (res.status === 401) {
+    signOut('That token was not accepted.');
+    throw new Error(body.error || 'Unauthorised');
+  }
+  if (!res.ok) throw new Error(body.error || `Request failed (${res.status})`);
+  return body;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIGN IN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+$('admin-signin-form').addEventListener('submit', e => {
+  e.preventDefault();
+  adminState.token = $('admin-token').value.trim();
+  if (!adminState.token) return;
+  sessionStorage.setItem(TOKEN_KEY, adminState.token);
+  $('admin-token').value = '';
+  startDashboard();
+});
+
+$('btn-admin-signout').addEventListener('click', () => signOut(''));
+
+function signOut(message) {
+  clearInterval(adminState.refreshTimer);
+  adminState.refreshTimer = null;
+  adminState.token = null;
+  adminState.selectedCode = null;
+  sessionStorage.removeItem(TOKEN_KEY);
+
+  const error = $('admin-signin-error');
+  error.textContent = message;
+  if (message) show(error); else hide(error);
+  hide($('admin-dashboard'));
+  show($('admin-signin'));
+}
+
+function startDashboard() {
+  hide($('admin-signin'));
+  hide($('admin-signin-error'));
+  show($('admin-dashboard'));
+  refresh();
+  clearInterval(adminState.refreshTimer);
+  adminState.refreshTimer = setInterval(refresh, REFRESH_MS);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DASHBOARD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function refresh() {
+  try {
+    const { instance, rooms } = await api('GET', '/rooms');
+    renderRooms(rooms);
+    $('admin-meta').textContent =
+      `Instance ${instance} · updated ${new Date().toLocaleTimeString()}`;
+
+    if (adminState.selectedCode && !rooms.some(r => r.code === adminState.selectedCode)) {
+      adminState.selectedCode = null;
+    }
+    if (adminState.selectedCode) {
+      renderRoom(await api('GET', '/rooms/' + adminState.selectedCode));
+    } else {
+      hide($('admin-room'));
+    }
+    showError('');
+  } catch (err) {
+    if (adminState.token) showError(err.message);
+  }
+}
+
+function renderRooms(rooms) {
+  const tbody = $('admin-rooms');
+  tbody.innerHTML = '';
+  if (rooms.length) hide($('admin-rooms-empty')); else show($('admin-rooms-empty'));
+
+  rooms
+    .sort((a, b) => a.ageMs - b.ageMs)
+    .forEach(room => {
+      const tr = document.createElement('tr');
+      tr.className = 'admin-row' + (room.code === adminState.selectedCode ? ' admin-row--selected' : '');
+      const drivers = room.disconnected
+        ? `${room.drivers} <span class="admin-muted">(${room.disconnected} away)</span>`
+        : room.drivers;
+      tr.innerHTML = `
+        <td class="admin-code">${escapeHtml(room.code)}</td>
+        <td><span class="admin-phase admin-phase--${escapeHtml(room.phase)}">${PHASE_LABELS[room.phase] || escapeHtml(room.phase)}</span></td>
+        <td>${escapeHtml(room.mode)}</td>
+        <td>${room.host ? escapeHtml(room.host) : '<span class="admin-muted">—</span>'}</td>
+        <td>${drivers}</td>
+        <td>${room.bots}</td>
+        <td>${room.spectators}</td>
+        <td>${formatDuration(room.ageMs)}</td>
+        <td>${formatDuration(room.raceMs)}</td>
+      `;
+      tr.addEventListener('click', () => {
+        adminState.selectedCode = room.code;
+        refresh();
+      });
+      tbody.appendChild(tr);
+    });
+}
+
+function playerStatus(p) {
+  const tags = [];
+  if (p.isHost) tags.push('Host');
+  if (p.isBot) tags.push(`CPU (${p.difficulty})`);
+  if (p.disconnected) tags.push('Disconnected');
+  if (p.disqualified) tags.push('Disqualified');
+  else if (p.dnf) tags.push('DNF');
+  else if (p.rank) tags.push(`P${p.rank}` + (p.finishTime != null ? ` · ${(p.finishTime / 1000).toFixed(2)}s` : ''));
+  if (p.flags.length) tags.push('Flagged: ' + p.flags.join(', '));
+  return tags.map(escapeHtml).join(' · ') || '<span class="admin-muted">—</span>';
+}
+
+function kickButton(socketId, name) {
+  return `<button class="btn btn-secondary admin-kick" data-socket-id="${escapeHtml(socketId)}"
+    data-name="${escapeHtml(name)}" type="button">Kick</button>`;
+}
+
+function renderRoom(room) {
+  show($('admin-room'));
+  $('admin-room-title').textContent =
+    `ROOM ${room.code} · ${(PHASE_LABELS[room.phase] || room.phase).toUpperCase()}`;
+  $('btn-admin-end-race').disabled = room.phase !== 'racing';
+
+  $('admin-players').innerHTML = room.players.map(p => `
+    <tr>
+      <td>${escapeHtml(p.name)}</td>
+      <td>${escapeHtml(p.carModel)}</td>
+      <td>${Math.round(p.progress)}%</td>
+      <td>${playerStatus(p)}</td>
+      <td>${kickButton(p.socketId, p.name)}</td>
+    </tr>
+  `).join('') || '<tr><td class="admin-muted" colspan="5">No drivers.</td></tr>';
+
+  $('admin-spectators').innerHTML = room.spectators.map(s => `
+    <tr>
+      <td>${escapeHtml(s.name)}</td>
+      <td>${[s.wantsToDrive && 'Wants to drive', s.disconnected && 'Disconnected']
+        .filter(Boolean).join(' · ') || '<span class="admin-muted">—</span>'}</td>
+      <td>${kickButton(s.socketId, s.name)}</td>
+    </tr>
+  `).join('') || '<tr><td class="admin-muted" colspan="3">Nobody is watching.</td></tr>';
+}
+
+// ─── Actions ──────────────────────────────────────────────────────────────────
+
+async function runAction(confirmText, method, path) {
+  if (!confirm(confirmText)) return;
+  try {
+    await api(method, path);
+  } catch (err) {
+    showError(err.message);
+    return;
+  }
+  refresh();
+}
+
+$('admin-room').addEventListener('click', e => {
+  const btn = e.target.closest('.admin-kick');
+  if (!btn) return;
+  const code = adminState.selectedCode;
+  runAction(`Kick ${btn.dataset.name} from room ${code}?`,
+    'DELETE', `/rooms/${code}/members/${encodeURIComponent(btn.dataset.socketId)}`);
+});
+
+$('btn-admin-end-race').addEventListener('click', () => {
+  const code = adminState.selectedCode;
+  runAction(`End the race in room ${code} now?`, 'POST', `/rooms/${code}/end-race`);
+});
+
+$('btn-admin-close-room').addEventListener('click', () => {
+  const code = adminState.selectedCode;
+  runAction(`Close room ${code} and send everyone back to the start?`, 'DELETE', `/rooms/${code}`);
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BOOT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+if (adminState.token) startDashboard();
@@ -11,8 +11,147 @@ const CAR_LABELS = {
 };
 
 const VALID_MODELS = Object.keys(CAR_LABELS);
-const CLICKS_TO_FINISH = 100;
+
+const BOT_LABELS = {
+  rookie: 'Rookie',
+  club:   'Club',
+  pro:    'Pro',
+  legend: 'Legend',
+};
 const CLICK_THROTTLE_MS = 50;
+const CLOCK_SYNC_SAMPLES = 5;       // pings per sync burst, spaced CLOCK_SYNC_GAP_MS apart
+const CLOCK_SYNC_GAP_MS = 150;
+const CLOCK_RESYNC_MS = 30 * 1000;
+const CLOCK_KEEP_SAMPLES = 10;
+
+// Cars are drawn INTERP_DELAY_MS behind the server so there is usually a
+// newer update to glide towards; past the newest one a car carries on at its
+// last speed for at most MAX_EXTRAPOLATION_MS, then waits for the next.
+const INTERP_DELAY_MS = 150;
+const MAX_EXTRAPOLATION_MS = 250;
+const SNAPSHOT_KEEP_MS = 1000;
+const RECONCILE_RATE = 6;           // per second: how fast my car eases onto the server's line
+const RECONCILE_SNAP = 10;          // progress points adrift before my car just jumps there
+
+// Mirrors game-modes.js on the server. The server judges every input; these
+// only pick the controls and, where a mode allows, predict the next key.
+const SEQUENCE_KEYS = ['a', 's', 'd', 'j', 'k', 'l'];
+
+const GAME_MODES = {
+  alternate: {
+    label: 'A/B Alternate',
+    hint: 'Alternate <kbd>A</kbd> and <kbd>B</kbd> — keep the pattern to accelerate!',
+    keys: ['a', 'b'],
+    optimistic: true,
+  },
+  sequence: {
+    label: 'Key Sequence',
+    hint: 'Press the key shown — <kbd>A</kbd> <kbd>S</kbd> <kbd>D</kbd> <kbd>J</kbd> <kbd>K</kbd> <kbd>L</kbd>',
+    keys: SEQUENCE_KEYS,
+    optimistic: true,
+  },
+  rhythm: {
+    label: 'Rhythm',
+    hint: 'Tap <kbd>Space</kbd> on the beat — perfect hits go further!',
+    keys: [' '],
+    optimistic: false,
+  },
+  charge: {
+    label: 'Hold & Release',
+    hint: 'Hold <kbd>Space</kbd> to charge, release before it overheats!',
+    keys: [' '],
+    optimistic: false,
+  },
+};
+
+const JUDGEMENT_LABELS = {
+  perfect:      'Perfect',
+  'false-start': 'False start',
+  penalty:      'Penalty',
+  good:         'Good',
+  full:         'Full charge',
+  partial:      'Charged',
+  'off-beat':   'Off beat',
+  'double-tap': 'One per beat',
+  locked:       'Recovering',
+  overheat:     'Overheat!',
+  'too-short':  'Too short',
+};
+
+// Mirrors the server defaults; the room's real values arrive with the room
+const DEFAULT_SETTINGS = {
+  clicksToFinish: 100,
+  laps:           1,
+  track:          'straight',
+  startDelay:     3500,
+  falseStartPenaltyMs: 1000,
+  lastChanceMs:   5000,
+  raceTimeoutMs:  5 * 60 * 1000,
+  maxDrivers:     16,
+  mode:           'alternate',
+  rounds:         1,
+  pointsScale:    [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+  teamMode:       'off',
+  teamCount:      2,
+  items:          false,
+  chat:           true,
+  lobbyTimerMs:   0,
+  public:         false,
+};
+
+// Team colours are the server's car palette red, blue, green and gold
+const TEAMS = [
+  { name: 'Red',   color: '#CC0000' },
+  { name: 'Blue',  color: '#1E3A8A' },
+  { name: 'Green', color: '#006B4F' },
+  { name: 'Gold',  color: '#B8860B' },
+];
+
+const TEAM_MODE_LABELS = {
+  sum:   'Team sum',
+  relay: 'Relay',
+};
+
+// Mirrors ITEM_MILESTONES on the server: item boxes sit at these percentages
+const ITEM_MILESTONES = [25, 50, 75];
+
+const ITEM_LABELS = {
+  nitro:  'Nitro',
+  oil:    'Oil slick',
+  shield: 'Shield',
+};
+
+const DISTANCE_PRESETS = {
+  sprint:    50,
+  standard:  100,
+  endurance: 500,
+};
+
+// Mirrors TRACKS on the server, which adds 'straight' for the lane view. Paths
+// are drawn in a CIRCUIT_SIZE box, start on the start/finish line and run the
+// way the cars drive.
+const CIRCUIT_SIZE = { width: 1000, height: 560 };
+
+const CIRCUITS = {
+  oval: {
+    label: 'Speedway Oval',
+    path: 'M 500 480 H 780 A 200 200 0 0 0 780 80 H 220 A 200 200 0 0 0 220 480 Z',
+  },
+  stuttgart: {
+    label: 'Stuttgart Ring',
+    path: 'M 160 470 L 640 470 C 760 470 860 440 870 340 C 880 250 800 220 720 240 ' +
+          'C 640 260 600 200 640 140 C 680 80 600 60 520 70 L 260 90 ' +
+          'C 120 100 60 200 70 300 C 80 420 90 470 160 470 Z',
+  },
+  harbour: {
+    label: 'Harbour Loop',
+    path: 'M 200 480 L 700 480 C 850 480 930 380 880 280 C 840 200 740 230 680 300 ' +
+          'C 630 360 540 360 500 300 C 460 240 520 160 600 130 C 680 100 640 50 540 50 ' +
+          'L 250 50 C 110 50 60 150 70 270 C 80 400 100 480 200 480 Z',
+  },
+};
+
+const CIRCUIT_GRID_SPACING = 9;   // side-by-side gap between cars, in circuit units
 
 // ─── State ────────────────────────────────────────────────────────────────────
 const state = {
@@ -22,22 +161,53 @@ const state = {
   myCarModel:    null,
   roomCode:      null,
   isHost:        false,
+  roomHostId:    null,     // socket id of the room's host, whoever that is
+  roomLocked:    false,    // the host has closed the room to new joins
+  chat:          [],       // recent lobby/results chat messages
+  autoStart:     null,     // { reason, startsAt } while the lobby counts down to a start
+  autoStartTimer: null,    // interval for the lobby countdown text
+  isSpectator:   false,    // watching from the stands, no A/B controls
   players:       {},       // socketId → player object
+  spectators:    {},       // socketId → spectator object
+  settings:      { ...DEFAULT_SETTINGS },   // host-chosen race rules
+  championship:  null,     // standings when the room runs more than one round
+  teams:         null,     // race-time team state (progress, relay runner) in team races
+  teamResults:   null,     // final team ranking of the last race
+  myLegTarget:   null,     // relay: distance of my leg
+  circuit:       null,     // { path, length, slots, sortFrame } while a circuit race is on screen
+  motion:        null,     // { frame, cars, me } while the race screen animates cars
+  carProfiles:   {},       // model → physics numbers from /api/cars, for predicting my car
   phase:         'idle',   // idle | lobby | countdown | racing | finished
-  raceStartTime: null,
+  raceStartTime: null,     // local time of GO
+  clockOffset:   0,        // server clock minus local clock
+  clockSamples:  [],       // recent { rtt, offset } from clock-ping round trips
+  falseStarted:  false,    // I pressed before GO this race
+  myPenaltyUntil: 0,       // local time my false-start penalty ends
   clickCount:    0,        // optimistic local count
+  progressSeq:   0,        // sequence number of the last progress update applied
   lastClickSent: 0,
-  nextKey:       'a',      // 'a' | 'b' — which key is expected next
+  modeState:     null,     // my input state from the room's game mode (server-sent)
+  chargeStartedAt: null,   // hold-and-release: when the current hold began
+  beatTimer:     null,     // rhythm: timeout for the next beat flash
+  chargeFrame:   null,     // hold-and-release: meter animation frame
+  myItem:        null,     // power-up in my slot, waiting to be fired
+  myEffects:     {},       // item effects running on my car (nitro, oil, shield)
+  mySlip:        0,        // oil: mirrors the server's carried click
+  lastPredicted: 1,        // clicks my last optimistic key press added
   myFinished:    false,    // true once my car crosses the finish line
   countdownTimer: null,
+  goTimer:       null,     // fires exactly at GO
   raceTimer:     null,     // interval handle for the live race timer
   lastChanceTimer: null,   // interval for the post-winner countdown banner
+  serverRestarting: false, // the server warned it is going down; expect a reconnect
 };
 
 // ─── Screen switching ─────────────────────────────────────────────────────────
 function showScreen(id) {
   document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
   document.getElementById(id).classList.add('active');
+  // The crowd cheers for as long as the podium is up
+  if (id === 'screen-results') startCrowd(); else stopCrowd();
 }
 
 // ─── Car SVG helper ───────────────────────────────────────────────────────────
@@ -77,12 +247,15 @@ function bindLanding() {
   const joinPanel  = document.getElementById('join-panel');
   const codeInput  = document.getElementById('input-room-code');
   const btnJoin    = document.getElementById('btn-confirm-join');
+  const btnWatch   = document.getElementById('btn-watch');
+  const btnQuickPlay = document.getElementById('btn-quick-play');
   const errMsg     = document.getElementById('landing-error');
 
   function validate() {
     const ok = nameInput.value.trim().length > 0 && state.myCarModel != null;
     btnCreate.disabled   = !ok;
     btnShowJoin.disabled = !ok;
+    btnQuickPlay.disabled = !ok;
   }
 
   nameInput.addEventListener('input', () => { state.myName = sanitize(nameInput.value); validate(); });
@@ -101,6 +274,19 @@ function bindLanding() {
     state.socket.emit('create-room', { name: state.myName, carModel: state.myCarModel });
   });
 
+  btnQuickPlay.addEventListener('click', () => {
+    errMsg.classList.add('hidden');
+    state.socket.emit('quick-play', { name: state.myName, carModel: state.myCarModel });
+  });
+
+  document.getElementById('public-rooms-list').addEventListener('click', e => {
+    const btn = e.target.closest('[data-join-code]');
+    if (!btn) return;
+    if (btnCreate.disabled) { showLandingError('Enter your name and pick a car first.'); return; }
+    errMsg.classList.add('hidden');
+    state.socket.emit('join-room', { code: btn.dataset.joinCode, name: state.myName, carModel: state.myCarModel });
+  });
+
   btnShowJoin.addEventListener('click', () => {
     joinPanel.classList.toggle('hidden');
     if (!joinPanel.classList.contains('hidden')) codeInput.focus();
@@ -117,12 +303,171 @@ function bindLanding() {
     state.socket.emit('join-room', { code, name: state.myName, carModel: state.myCarModel });
   });
 
+  btnWatch.addEventListener('click', () => {
+    const code = codeInput.value.trim();
+    if (code.length !== 6) { showLandingError('Enter the 6-character room code.'); return; }
+    errMsg.classList.add('hidden');
+    state.socket.emit('join-room', { code, name: state.myName, carModel: state.myCarModel, spectate: true });
+  });
+
   // Auto-fill code from URL (?room=XXXX)
   const urlCode = new URLSearchParams(window.location.search).get('room');
   if (urlCode) {
     codeInput.value = urlCode.toUpperCase();
     joinPanel.classList.remove('hidden');
   }
+
+  loadCarStats();
+}
+
+// ─── Car stats ────────────────────────────────────────────────────────────────
+// The server owns each model's physics; the grid shows them as bars scaled
+// between the weakest and strongest car, so the differences read at a glance
+const CAR_STATS = [
+  { key: 'topSpeed',     label: 'SPEED' },
+  { key: 'acceleration', label: 'ACCEL' },
+  { key: 'grip',         label: 'GRIP' },
+];
+
+function loadCarStats() {
+  fetch('/api/cars')
+    .then(res => (res.ok ? res.json() : { cars: [] }))
+    .then(({ cars }) => {
+      cars.forEach(car => { state.carProfiles[car.model] = car; });
+      renderCarStats(cars);
+    })
+    .catch(() => {});
+}
+
+function renderCarStats(cars) {
+  const ranges = {};
+  CAR_STATS.forEach(({ key }) => {
+    const values = cars.map(c => c[key]);
+    ranges[key] = { min: Math.min(...values), max: Math.max(...values) };
+  });
+
+  cars.forEach(car => {
+    const opt = document.querySelector(`.car-option[data-model="${car.model}"]`);
+    if (!opt) return;
+    const old = opt.querySelector('.car-stats');
+    if (old) old.remove();
+
+    const stats = document.createElement('span');
+    stats.className = 'car-stats';
+    stats.innerHTML = CAR_STATS.map(({ key, label }) => {
+      const { min, max } = ranges[key];
+      const share = max > min ? 0.2 + 0.8 * (car[key] - min) / (max - min) : 1;
+      return `
+        <span class="car-stat">
+          <span class="car-stat-label">${label}</span>
+          <span class="car-stat-bar"><span style="width:${Math.round(share * 100)}%"></span></span>
+        </span>`;
+    }).join('');
+    opt.appendChild(stats);
+  });
+}
+
+// ─── Leaderboard panel ────────────────────────────────────────────────────────
+const leaderboardFilter = { scope: 'all', carModel: '', mode: 'alternate' };
+
+function bindLeaderboard() {
+  document.querySelectorAll('.leaderboard-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      document.querySelectorAll('.leaderboard-tab').forEach(t => t.classList.remove('active'));
+      tab.classList.add('active');
+      leaderboardFilter.scope = tab.dataset.scope;
+      loadLeaderboard();
+    });
+  });
+  document.getElementById('leaderboard-car').addEventListener('change', e => {
+    leaderboardFilter.carModel = e.target.value;
+    loadLeaderboard();
+  });
+  document.getElementById('leaderboard-mode').addEventListener('change', e => {
+    leaderboardFilter.mode = e.target.value;
+    loadLeaderboard();
+  });
+  loadLeaderboard();
+}
+
+function loadLeaderboard() {
+  let url = '/api/leaderboard';
+  if (leaderboardFilter.carModel) url += '/cars/' + encodeURIComponent(leaderboardFilter.carModel);
+  else if (leaderboardFilter.scope === 'today') url += '/days/today';
+  url += '?mode=' + encodeURIComponent(leaderboardFilter.mode);
+
+  fetch(url)
+    .then(res => (res.ok ? res.json() : { entries: [] }))
+    .then(({ entries }) => {
+      // The per-car endpoint is all-time; narrow it to today on the client
+      const today = new Date().toISOString().slice(0, 10);
+      const rows = leaderboardFilter.carModel && leaderboardFilter.scope === 'today'
+        ? entries.filter(e => e.day === today)
+        : entries;
+      renderLeaderboard(rows);
+    })
+    .catch(() => renderLeaderboard([]));
+}
+
+function renderLeaderboard(entries) {
+  const list = document.getElementById('leaderboard-list');
+  list.innerHTML = '';
+  document.getElementById('leaderboard-empty').classList.toggle('hidden', entries.length > 0);
+  entries.forEach((e, i) => {
+    const row = document.createElement('li');
+    row.className = 'leaderboard-row';
+    row.innerHTML = `
+      <span class="leaderboard-pos">${i + 1}</span>
+      <span class="leaderboard-name">${sanitize(e.name)}</span>
+      <span class="leaderboard-car-label">${CAR_LABELS[e.carModel] || ''}</span>
+      <span class="leaderboard-time">${formatTime(e.timeMs)}</span>
+    `;
+    list.appendChild(row);
+  });
+}
+
+// ─── Open rooms panel ─────────────────────────────────────────────────────────
+// Polled while the landing screen is up, so the list stays live without a socket
+const PUBLIC_ROOMS_POLL_MS = 5000;
+
+function bindPublicRooms() {
+  loadPublicRooms();
+  setInterval(() => {
+    if (state.phase === 'idle' && !document.hidden) loadPublicRooms();
+  }, PUBLIC_ROOMS_POLL_MS);
+}
+
+function loadPublicRooms() {
+  fetch('/api/rooms')
+    .then(res => (res.ok ? res.json() : { rooms: [] }))
+    .then(({ rooms }) => renderPublicRooms(rooms))
+    .catch(() => renderPublicRooms([]));
+}
+
+function renderPublicRooms(rooms) {
+  const list = document.getElementById('public-rooms-list');
+  list.innerHTML = '';
+  document.getElementById('public-rooms-empty').classList.toggle('hidden', rooms.length > 0);
+  document.getElementById('public-rooms-count').textContent = rooms.length || '';
+  rooms.forEach(room => {
+    const details = [
+      (GAME_MODES[room.mode] || GAME_MODES.alternate).label,
+      room.clicksToFinish + ' clicks',
+      room.teamMode !== 'off' ? TEAM_MODE_LABELS[room.teamMode] : null,
+      room.rounds > 1 ? room.rounds + ' rounds' : null,
+      room.items ? 'power-ups' : null,
+    ].filter(Boolean).join(' · ');
+    const row = document.createElement('li');
+    row.className = 'leaderboard-row public-room-row';
+    row.innerHTML = `
+      <span class="public-room-host">${room.host ? sanitize(room.host) + "'s room" : 'Open room'}
+        <span class="public-room-meta">${details}</span>
+      </span>
+      <span class="public-room-drivers">${room.drivers} / ${room.maxDrivers}</span>
+      <button class="btn btn-secondary public-room-join" data-join-code="${sanitize(room.code)}" type="button">Join</button>
+    `;
+    list.appendChild(row);
+  });
 }
 
 function showLandingError(msg) {
@@ -134,11 +479,15 @@ function showLandingError(msg) {
 // ═══════════════════════════════════════════════════════════════════════════════
 // LOBBY SCREEN
 // ═══════════════════════════════════════════════════════════════════════════════
-function enterLobby(code, players, hostId) {
+function enterLobby(code, players, hostId, spectators) {
   state.roomCode = code;
   state.phase = 'lobby';
   state.players = {};
   players.forEach(p => { state.players[p.socketId] = p; });
+  if (spectators) {
+    state.spectators = {};
+    spectators.forEach(s => { state.spectators[s.socketId] = s; });
+  }
 
   // Set URL so sharing works
   const url = new URL(window.location.href);
@@ -151,20 +500,171 @@ function enterLobby(code, players, hostId) {
 
   // Players list
   renderAllLobbyPlayers(players, hostId);
+  renderLobbySpectators();
 
-  // Host controls
-  const btnStart = document.getElementById('btn-start-race');
-  const waiting  = document.getElementById('lobby-waiting');
-  if (state.isHost) {
-    btnStart.classList.remove('hidden');
-    waiting.classList.add('hidden');
-    updateStartButton();
+  renderHostControls();
+  renderAutoStart();
+  updateSpectatorControls();
+  renderSettings();
+  renderLobbyChampionship();
+
+  showScreen('screen-lobby');
+}
+
+// ─── Race settings panel ──────────────────────────────────────────────────────
+// The host edits the form; everyone else sees the same values read-only.
+// Form fields are in seconds/minutes, the wire format is milliseconds.
+function renderSettings() {
+  const s = state.settings;
+  const form = document.getElementById('settings-form');
+  form.elements['mode'].value = s.mode;
+  form.elements['clicksToFinish'].value = s.clicksToFinish;
+  form.elements['laps'].value = s.laps || 1;
+  form.elements['track'].value = s.track || 'straight';
+  form.elements['startDelay'].value = s.startDelay / 1000;
+  form.elements['falseStartPenaltyMs'].value = s.falseStartPenaltyMs / 1000;
+  form.elements['lastChanceMs'].value = s.lastChanceMs / 1000;
+  form.elements['raceTimeoutMs'].value = s.raceTimeoutMs / 60000;
+  form.elements['maxDrivers'].value = s.maxDrivers;
+  form.elements['teamMode'].value = s.teamMode;
+  form.elements['teamCount'].value = s.teamCount;
+  form.elements['rounds'].value = s.rounds;
+  form.elements['pointsScale'].value = s.pointsScale.join(', ');
+  form.elements['items'].value = s.items ? 'on' : 'off';
+  form.elements['chat'].value = s.chat === false ? 'off' : 'on';
+  form.elements['public'].value = s.public ? 'on' : 'off';
+  form.elements['lobbyTimerMs'].value = (s.lobbyTimerMs || 0) / 1000;
+  [...form.elements].forEach(el => { el.disabled = !state.isHost; });
+  form.elements['teamCount'].disabled = !state.isHost || s.teamMode === 'off';
+
+  document.querySelectorAll('.settings-preset').forEach(btn => {
+    btn.classList.toggle('active', DISTANCE_PRESETS[btn.dataset.preset] === s.clicksToFinish);
+  });
+
+  document.getElementById('settings-summary').textContent = [
+    (GAME_MODES[s.mode] || GAME_MODES.alternate).label,
+    s.clicksToFinish + ' clicks',
+    CIRCUITS[s.track] ? CIRCUITS[s.track].label : null,
+    s.laps > 1 ? s.laps + ' laps' : null,
+    s.lastChanceMs ? (s.lastChanceMs / 1000) + 's last chance' : 'no last chance',
+    s.falseStartPenaltyMs ? (s.falseStartPenaltyMs / 1000) + 's false-start penalty' : null,
+    (s.raceTimeoutMs / 60000) + ' min limit',
+    s.teamMode !== 'off' ? `${TEAM_MODE_LABELS[s.teamMode]} · ${s.teamCount} teams` : null,
+    s.rounds > 1 ? s.rounds + ' rounds' : null,
+    s.items ? 'power-ups' : null,
+    s.public ? 'public' : null,
+    s.chat === false ? 'chat off' : null,
+    s.lobbyTimerMs ? (s.lobbyTimerMs / 1000) + 's lobby timer' : null,
+  ].filter(Boolean).join(' · ');
+  renderChat();
+}
+
+function readSettingsForm() {
+  const form = document.getElementById('settings-form');
+  const num = name => parseFloat(form.elements[name].value);
+  return {
+    mode:           form.elements['mode'].value,
+    clicksToFinish: Math.round(num('clicksToFinish')),
+    laps:           Math.round(num('laps')),
+    track:          form.elements['track'].value,
+    startDelay:     Math.round(num('startDelay') * 1000),
+    falseStartPenaltyMs: Math.round(num('falseStartPenaltyMs') * 1000),
+    lastChanceMs:   Math.round(num('lastChanceMs') * 1000),
+    raceTimeoutMs:  Math.round(num('raceTimeoutMs') * 60000),
+    maxDrivers:     Math.round(num('maxDrivers')),
+    teamMode:       form.elements['teamMode'].value,
+    teamCount:      Math.round(num('teamCount')),
+    rounds:         Math.round(num('rounds')),
+    pointsScale:    form.elements['pointsScale'].value.split(/[\s,]+/).filter(Boolean).map(Number),
+    items:          form.elements['items'].value === 'on',
+    chat:           form.elements['chat'].value === 'on',
+    public:         form.elements['public'].value === 'on',
+    lobbyTimerMs:   Math.round(num('lobbyTimerMs') * 1000),
+  };
+}
+
+function bindSettings() {
+  const form = document.getElementById('settings-form');
+  form.addEventListener('change', () => {
+    if (!state.isHost) return;
+    state.socket.emit('update-settings', { roomCode: state.roomCode, settings: readSettingsForm() });
+  });
+  form.addEventListener('submit', e => e.preventDefault());
+
+  document.querySelectorAll('.settings-preset').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (!state.isHost) return;
+      state.socket.emit('update-settings', {
+        roomCode: state.roomCode,
+        settings: { clicksToFinish: DISTANCE_PRESETS[btn.dataset.preset] },
+      });
+    });
+  });
+}
+
+function renderLobbySpectators() {
+  const card = document.getElementById('lobby-spectators-card');
+  const list = document.getElementById('lobby-spectator-list');
+  const spectators = Object.values(state.spectators);
+  card.classList.toggle('hidden', spectators.length === 0);
+  document.getElementById('lobby-spectator-count').textContent = spectators.length;
+  list.innerHTML = '';
+  spectators.forEach(s => {
+    const chip = document.createElement('span');
+    chip.className = 'spectator-chip'
+      + (s.socketId === state.mySocketId ? ' is-me' : '')
+      + (s.wantsToDrive ? ' wants-to-drive' : '')
+      + (s.disconnected ? ' disconnected' : '');
+    chip.textContent = s.name;
+    list.appendChild(chip);
+  });
+}
+
+// Spectators get a "Join Drivers" button in the lobby and a
+// "Drive Next Race" toggle on the results screen.
+function updateSpectatorControls() {
+  const btnDrive = document.getElementById('btn-drive');
+  const btnDriveNext = document.getElementById('btn-drive-next');
+  const me = state.spectators[state.mySocketId];
+  btnDrive.classList.toggle('hidden', !state.isSpectator);
+  btnDrive.disabled = Object.keys(state.players).length >= state.settings.maxDrivers;
+  btnDriveNext.classList.toggle('hidden', !state.isSpectator);
+  btnDriveNext.textContent = me && me.wantsToDrive ? 'Keep Watching' : 'Drive Next Race';
+  if (state.isSpectator) {
+    document.getElementById('lobby-waiting').textContent = "You're watching — the host will start the race soon.";
   } else {
-    btnStart.classList.add('hidden');
-    waiting.classList.remove('hidden');
+    document.getElementById('lobby-waiting').textContent = 'Waiting for the host to start the race...';
   }
+}
 
-  showScreen('screen-lobby');
+// Start button, CPU controls and the lock toggle follow the host role around
+function renderHostControls() {
+  document.getElementById('btn-start-race').classList.toggle('hidden', !state.isHost);
+  document.getElementById('lobby-waiting').classList.toggle('hidden', state.isHost);
+  document.getElementById('lobby-bot-controls').classList.toggle('hidden', !state.isHost);
+  if (state.isHost) updateStartButton();
+  renderRoomLock();
+}
+
+function renderRoomLock() {
+  const btn = document.getElementById('btn-lock-room');
+  btn.classList.toggle('hidden', !state.isHost);
+  btn.textContent = state.roomLocked ? 'Unlock Room' : 'Lock Room';
+  document.getElementById('lobby-locked-badge').classList.toggle('hidden', !state.roomLocked);
+}
+
+// The host role moved (handed over, or the old host left): redraw everything
+// that depends on who holds it
+function setRoomHost(hostId) {
+  state.roomHostId = hostId;
+  state.isHost = hostId === state.mySocketId;
+  renderHostControls();
+  renderSettings();
+  if (state.phase === 'lobby') renderAllLobbyPlayers(Object.values(state.players), hostId);
+  if (state.phase === 'finished') {
+    document.getElementById('btn-play-again').classList.toggle('hidden', !state.isHost);
+    document.getElementById('results-waiting').classList.toggle('hidden', state.isHost);
+  }
 }
 
 function renderAllLobbyPlayers(players, hostId) {
@@ -179,8 +679,13 @@ function buildPlayerCard(player, hostId) {
   const isHost = player.socketId === hostId;
 
   const div = document.createElement('div');
-  div.className = 'player-card' + (isMe ? ' is-me' : '');
+  div.className = 'player-card' + (isMe ? ' is-me' : '') + (player.disconnected ? ' disconnected' : '')
+    + (player.ready ? ' is-ready' : '');
   div.id = 'lobby-player-' + player.socketId;
+  if (state.settings.teamMode !== 'off' && player.team != null) {
+    div.style.setProperty('--team-color', TEAMS[player.team].color);
+    div.classList.add('on-team');
+  }
 
   div.innerHTML = `
     <div class="player-car-preview" style="color:${player.carColor}">
@@ -188,16 +693,79 @@ function buildPlayerCard(player, hostId) {
     </div>
     <div class="player-info">
       <div class="player-name">${player.name}${isMe ? ' <span style="color:var(--silver-400);font-weight:400;font-size:11px">(you)</span>' : ''}</div>
-      <div class="player-car-label">${CAR_LABELS[player.carModel] || player.carModel}</div>
+      <div class="player-car-label">${CAR_LABELS[player.carModel] || player.carModel}${player.isBot ? ' · ' + (BOT_LABELS[player.difficulty] || player.difficulty) : ''}</div>
     </div>
+    ${teamPicker(player, isMe)}
+    ${readyControl(player, isMe)}
+    ${player.isBot ? '<span class="bot-badge">CPU</span>' : ''}
+    ${player.isBot && state.isHost ? `<button class="card-remove-btn" data-bot-id="${player.socketId}" type="button" aria-label="Remove CPU">×</button>` : ''}
+    ${!player.isBot && !isMe && state.isHost ? hostCardActions(player) : ''}
     ${isHost ? '<span class="host-badge">HOST</span>' : ''}
   `;
   return div;
 }
 
+// Drivers toggle their own ready state; everyone else's shows as a badge
+function readyControl(player, isMe) {
+  if (player.isBot) return '';
+  if (isMe) {
+    return `<button class="ready-toggle${player.ready ? ' active' : ''}" data-ready-toggle type="button" aria-pressed="${!!player.ready}">${player.ready ? 'Ready' : 'Not Ready'}</button>`;
+  }
+  return player.ready ? '<span class="ready-badge">READY</span>' : '';
+}
+
+// ─── Automatic start ──────────────────────────────────────────────────────────
+// The server counts down once every driver is ready, or to the host's lobby
+// timer; un-readying calls a ready countdown off.
+function renderAutoStart(problem) {
+  clearInterval(state.autoStartTimer);
+  state.autoStartTimer = null;
+  const note = document.getElementById('lobby-autostart');
+  const auto = state.autoStart;
+  if (!auto) {
+    note.textContent = problem ? "The race couldn't start: " + problem : '';
+    note.classList.toggle('hidden', !problem);
+    return;
+  }
+
+  const update = () => {
+    const secs = Math.max(0, Math.ceil((toLocalTime(auto.startsAt) - Date.now()) / 1000));
+    const time = secs >= 60 ? Math.floor(secs / 60) + ':' + String(secs % 60).padStart(2, '0') : secs + 's';
+    note.textContent = auto.reason === 'ready'
+      ? `Everyone's ready — starting in ${time}. Un-ready to wait.`
+      : `Lobby timer — the race starts in ${time}.`;
+  };
+  update();
+  note.classList.remove('hidden');
+  state.autoStartTimer = setInterval(update, 250);
+}
+
+function setAutoStart(autoStart, problem) {
+  state.autoStart = autoStart || null;
+  renderAutoStart(problem);
+}
+
+// Host-only: hand over the host role, or kick (and ban) another driver
+function hostCardActions(player) {
+  return `
+    <button class="card-action-btn" data-make-host-id="${player.socketId}" type="button"${player.disconnected ? ' disabled' : ''}>Make Host</button>
+    <button class="card-remove-btn" data-kick-id="${player.socketId}" type="button" aria-label="Kick ${player.name}">×</button>
+  `;
+}
+
+// Drivers choose their own team; the host can move anyone
+function teamPicker(player, isMe) {
+  if (state.settings.teamMode === 'off' || player.team == null) return '';
+  const editable = isMe || state.isHost;
+  const options = TEAMS.slice(0, state.settings.teamCount)
+    .map((t, i) => `<option value="${i}"${i === player.team ? ' selected' : ''}>${t.name}</option>`)
+    .join('');
+  return `<select class="team-select" data-player-id="${player.socketId}" aria-label="Team"${editable ? '' : ' disabled'}>${options}</select>`;
+}
+
 function updatePlayerCount() {
   const count = Object.keys(state.players).length;
-  document.getElementById('lobby-player-count').textContent = count + ' / 16';
+  document.getElementById('lobby-player-count').textContent = count + ' / ' + state.settings.maxDrivers;
 }
 
 function updateStartButton() {
@@ -220,6 +788,132 @@ function bindLobby() {
   document.getElementById('btn-start-race').addEventListener('click', () => {
     state.socket.emit('start-race', { roomCode: state.roomCode });
   });
+
+  document.getElementById('btn-add-bot').addEventListener('click', () => {
+    const difficulty = document.getElementById('select-bot-difficulty').value;
+    state.socket.emit('add-bot', { roomCode: state.roomCode, difficulty });
+  });
+
+  document.getElementById('lobby-player-list').addEventListener('click', e => {
+    const botBtn = e.target.closest('[data-bot-id]');
+    if (botBtn) {
+      state.socket.emit('remove-bot', { roomCode: state.roomCode, botId: botBtn.dataset.botId });
+      return;
+    }
+
+    if (e.target.closest('[data-ready-toggle]')) {
+      const me = state.players[state.mySocketId];
+      if (me) state.socket.emit('set-ready', { roomCode: state.roomCode, ready: !me.ready });
+      return;
+    }
+
+    const kickBtn = e.target.closest('[data-kick-id]');
+    if (kickBtn) {
+      const player = state.players[kickBtn.dataset.kickId];
+      if (!player || !confirm(`Kick ${player.name}? They won't be able to rejoin this room.`)) return;
+      state.socket.emit('kick-player', { roomCode: state.roomCode, socketId: player.socketId });
+      return;
+    }
+
+    const hostBtn = e.target.closest('[data-make-host-id]');
+    if (hostBtn) {
+      const player = state.players[hostBtn.dataset.makeHostId];
+      if (!player || !confirm(`Make ${player.name} the host? You'll lose the host controls.`)) return;
+      state.socket.emit('transfer-host', { roomCode: state.roomCode, socketId: player.socketId });
+    }
+  });
+
+  document.getElementById('btn-lock-room').addEventListener('click', () => {
+    state.socket.emit('lock-room', { roomCode: state.roomCode, locked: !state.roomLocked });
+  });
+
+  document.getElementById('lobby-player-list').addEventListener('change', e => {
+    const select = e.target.closest('.team-select');
+    if (!select) return;
+    state.socket.emit('set-team', {
+      roomCode: state.roomCode,
+      socketId: select.dataset.playerId,
+      team: parseInt(select.value, 10),
+    });
+  });
+
+  document.getElementById('btn-drive').addEventListener('click', () => {
+    state.socket.emit('request-drive', { roomCode: state.roomCode, wantsToDrive: true });
+  });
+
+  document.getElementById('btn-kicked-home').addEventListener('click', () => {
+    showScreen('screen-landing');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CHAT & REACTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+const CHAT_HISTORY = 30;
+const REACTION_FLOAT_MS = 1600;
+
+// The lobby and results screens each have a chat card showing the same log
+function renderChat() {
+  const off = state.settings.chat === false;
+  document.querySelectorAll('.chat-card').forEach(card => {
+    const log = card.querySelector('.chat-log');
+    log.innerHTML = '';
+    state.chat.forEach(msg => log.appendChild(buildChatLine(msg)));
+    log.scrollTop = log.scrollHeight;
+    card.querySelector('.chat-form').classList.toggle('hidden', off);
+    showChatNote(card, off ? 'The host has turned chat off.' : '');
+  });
+}
+
+function buildChatLine(msg) {
+  const line = document.createElement('div');
+  line.className = 'chat-line' + (msg.socketId === state.mySocketId ? ' is-me' : '');
+  const name = document.createElement('span');
+  name.className = 'chat-name';
+  name.textContent = msg.name;
+  line.append(name, ' ', msg.text);
+  return line;
+}
+
+function addChatMessage(msg) {
+  state.chat.push(msg);
+  if (state.chat.length > CHAT_HISTORY) state.chat.shift();
+  renderChat();
+}
+
+function showChatNote(card, text) {
+  const note = card.querySelector('.chat-note');
+  note.textContent = text;
+  note.classList.toggle('hidden', !text);
+}
+
+function floatReaction(socketId, emoji) {
+  const car = document.getElementById('car-' + socketId);
+  if (!car) return;
+  const bubble = document.createElement('span');
+  bubble.className = 'reaction-float';
+  bubble.textContent = emoji;
+  car.appendChild(bubble);
+  setTimeout(() => bubble.remove(), REACTION_FLOAT_MS);
+}
+
+function bindChat() {
+  document.querySelectorAll('.chat-form').forEach(form => {
+    form.addEventListener('submit', e => {
+      e.preventDefault();
+      const input = form.elements['text'];
+      const text = input.value.trim();
+      if (!text) return;
+      state.socket.emit('chat-message', { roomCode: state.roomCode, text });
+      input.value = '';
+    });
+  });
+
+  document.getElementById('reaction-bar').addEventListener('click', e => {
+    const btn = e.target.closest('[data-emoji]');
+    if (!btn || state.phase !== 'racing') return;
+    state.socket.emit('reaction', { roomCode: state.roomCode, emoji: btn.dataset.emoji });
+  });
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -229,6 +923,8 @@ function buildRaceScreen() {
   hideLastChanceBanner();
   const container = document.getElementById('track-container');
   container.innerHTML = '';
+  container.classList.remove('track-container--circuit');
+  state.circuit = null;
 
   const playerCount = Object.keys(state.players).length;
 
@@ -239,13 +935,38 @@ function buildRaceScreen() {
     return a.name.localeCompare(b.name);
   });
 
-  sorted.forEach(player => {
-    container.appendChild(buildLane(player, playerCount));
-  });
+  if (CIRCUITS[state.settings.track]) {
+    buildCircuitView(container, sorted);
+    updateRelayLanes();
+  } else if (state.teams) {
+    // Team races group each team's lanes under a header with the team's bar;
+    // relay lanes stay in leg order
+    state.teams.forEach(team => {
+      container.appendChild(buildTeamHeader(team));
+      const members = state.settings.teamMode === 'relay'
+        ? team.members.map(id => state.players[id]).filter(Boolean)
+        : sorted.filter(p => team.members.includes(p.socketId));
+      members.forEach(player => container.appendChild(buildLane(player, playerCount)));
+    });
+    updateRelayLanes();
+  } else {
+    sorted.forEach(player => {
+      container.appendChild(buildLane(player, playerCount));
+    });
+  }
 
   // Update header
-  document.getElementById('race-driver-name').textContent = state.myName.toUpperCase();
+  document.getElementById('race-driver-name').textContent = state.isSpectator ? 'SPECTATING' : state.myName.toUpperCase();
   document.getElementById('race-click-count').textContent = '0';
+  renderMyLap(0);
+
+  // Spectators watch the track without input controls
+  document.querySelector('#screen-race .click-zone').classList.toggle('hidden', state.isSpectator);
+  document.querySelector('#screen-race .race-header-right').classList.toggle('hidden', state.isSpectator);
+  setupModeControls();
+  setupItems();
+  updateBatonState();
+  startMotion();
 }
 
 function buildLane(player, totalPlayers) {
@@ -264,6 +985,7 @@ function buildLane(player, totalPlayers) {
     <div class="lane-label">
       <span class="lane-color-dot" style="background:${player.carColor}"></span>
       <span class="lane-label-name" title="${player.name}">${player.name}</span>
+      ${player.isBot ? '<span class="bot-badge">CPU</span>' : ''}
     </div>
     <div class="track" id="track-${player.socketId}">
       <div class="track-surface"></div>
@@ -277,155 +999,1089 @@ function buildLane(player, totalPlayers) {
   return lane;
 }
 
-function hideLastChanceBanner() {
-  clearInterval(state.lastChanceTimer);
-  state.lastChanceTimer = null;
-  const banner = document.getElementById('last-chance-banner');
-  if (banner) banner.classList.add('hidden');
+// ─── Team lanes ───────────────────────────────────────────────────────────────
+function buildTeamHeader(team) {
+  const header = document.createElement('div');
+  header.className = 'team-header' + (team.rank ? ' finished' : '');
+  header.id = 'team-header-' + team.team;
+  header.style.setProperty('--team-color', team.color);
+  header.innerHTML = `
+    <span class="team-name">${team.name.toUpperCase()}</span>
+    <div class="team-bar"><div class="team-bar-fill" id="team-bar-${team.team}"></div></div>
+    <span class="team-progress" id="team-progress-${team.team}">0%</span>
+  `;
+  return header;
 }
 
-function updateCarPosition(socketId, progress) {
-  const car = document.getElementById('car-' + socketId);
-  if (!car) return;
-  // Map 0–100 progress to 0–88% left offset (car reaches finish line at 100)
-  const leftPct = (progress / 100) * 88;
-  car.style.left = leftPct + '%';
+function updateTeamProgress(teamIndex, progress) {
+  const fill = document.getElementById('team-bar-' + teamIndex);
+  if (fill) fill.style.width = Math.min(100, progress) + '%';
+  const label = document.getElementById('team-progress-' + teamIndex);
+  if (label) label.textContent = Math.round(progress) + '%';
+}
 
-  const pEl = document.getElementById('progress-' + socketId);
-  if (pEl) pEl.textContent = Math.round(progress) + '%';
+function markTeamFinished(teamIndex, rank) {
+  const team = state.teams && state.teams[teamIndex];
+  if (team) team.rank = rank;
+  const header = document.getElementById('team-header-' + teamIndex);
+  if (!header || header.classList.contains('finished')) return;
+  header.classList.add('finished');
+  header.querySelector('.team-name').textContent += ' · ' + medalText(rank);
 }
 
-function startCountdown(startTime) {
-  state.phase = 'countdown';
-  state.raceStartTime = startTime;
-  buildRaceScreen();
-  showScreen('screen-race');
+function myTeam() {
+  return state.teams ? state.teams.find(t => t.members.includes(state.mySocketId)) || null : null;
+}
 
-  const overlay = document.getElementById('countdown-overlay');
-  const numEl   = document.getElementById('countdown-number');
-  overlay.classList.remove('hidden');
+// Relay: stores my leg length and whether the baton has reached me yet
+function applyTeams(teams) {
+  state.teams = teams;
+  state.myLegTarget = null;
+  const team = myTeam();
+  if (team && state.settings.teamMode === 'relay') {
+    state.myLegTarget = team.legs[team.members.indexOf(state.mySocketId)];
+  }
+}
 
-  const hintEl = document.getElementById('countdown-hint');
+function waitingForBaton() {
+  const team = myTeam();
+  return state.settings.teamMode === 'relay' && !!team && team.runnerId !== state.mySocketId;
+}
 
-  state.countdownTimer = setInterval(() => {
-    const remaining = Math.ceil((startTime - Date.now()) / 1000);
-    if (remaining > 0) {
-      numEl.textContent = remaining;
-      if (hintEl) hintEl.classList.remove('hidden');
-      // Re-trigger animation
-      numEl.style.animation = 'none';
-      void numEl.offsetWidth; // reflow
-      numEl.style.animation = '';
-    } else {
-      clearInterval(state.countdownTimer);
-      numEl.textContent = 'GO!';
-      if (hintEl) hintEl.classList.add('hidden');
-      numEl.style.animation = 'none';
-      void numEl.offsetWidth;
-      numEl.style.animation = '';
-      // Only enable input AFTER the overlay is hidden — prevents pressing during GO!
-      setTimeout(() => {
-        overlay.classList.add('hidden');
-        state.phase = 'racing';
-        setActiveKey('a');
-        // Start live race timer
-        const timerEl = document.getElementById('race-timer');
-        if (timerEl) timerEl.textContent = '0:00.0';
-        state.raceTimer = setInterval(() => {
-          if (timerEl) timerEl.textContent = formatTime(Date.now() - state.raceStartTime);
-        }, 100);
-      }, 700);
-    }
-  }, 100);
+// Dims my controls while a teammate runs their leg
+function updateBatonState() {
+  if (state.isSpectator || state.myFinished) return;
+  const waiting = waitingForBaton();
+  document.querySelector('#screen-race .click-zone').classList.toggle('waiting-baton', waiting);
+  document.getElementById('mode-instruction').innerHTML = waiting
+    ? 'Waiting for the baton — your leg starts when your teammate finishes'
+    : currentMode().hint;
 }
 
-// ─── A/B mechanic helpers ─────────────────────────────────────────────────────
-function setActiveKey(key) {
-  state.nextKey = key;
-  const btnA = document.getElementById('btn-a');
-  const btnB = document.getElementById('btn-b');
-  if (!btnA || !btnB) return;
-  if (key === 'a') {
-    btnA.classList.add('btn-ab--active');
-    btnB.classList.remove('btn-ab--active');
-  } else {
-    btnB.classList.add('btn-ab--active');
-    btnA.classList.remove('btn-ab--active');
+function updateRelayLanes() {
+  if (state.settings.teamMode !== 'relay' || !state.teams) return;
+  state.teams.forEach(team => {
+    const runnerIndex = team.members.indexOf(team.runnerId);
+    team.members.forEach((id, i) => {
+      const lane = document.getElementById('lane-' + id);
+      if (!lane) return;
+      lane.classList.toggle('relay-active', i === runnerIndex);
+      lane.classList.toggle('relay-waiting', runnerIndex !== -1 && i > runnerIndex);
+    });
+  });
+}
+
+// ─── Circuit view ─────────────────────────────────────────────────────────────
+// Every car drives the same path round the circuit. The position tower beside
+// it stands in for the lanes: its rows carry the lane ids, so finish badges,
+// relay and penalty markers land there, and it keeps the running order.
+function buildCircuitView(container, drivers) {
+  const circuit = CIRCUITS[state.settings.track];
+  const { width, height } = CIRCUIT_SIZE;
+  container.classList.add('track-container--circuit');
+  container.innerHTML = `
+    <div class="circuit">
+      <svg class="circuit-svg" viewBox="0 0 ${width} ${height}" aria-hidden="true">
+        <path class="circuit-verge" d="${circuit.path}"/>
+        <path class="circuit-road" id="circuit-path" d="${circuit.path}"/>
+        <path class="circuit-centre" d="${circuit.path}"/>
+        <line class="circuit-start" id="circuit-start"/>
+      </svg>
+      <div class="circuit-layer" id="circuit-layer"></div>
+      <span class="circuit-name">${circuit.label.toUpperCase()}</span>
+    </div>
+    <div class="position-tower">
+      <div class="tower-title">POSITIONS</div>
+      <div id="tower-teams"></div>
+      <div class="tower-rows" id="tower-rows"></div>
+    </div>
+  `;
+
+  const path = document.getElementById('circuit-path');
+  state.circuit = { path, length: path.getTotalLength(), slots: {}, sortFrame: null };
+
+  const start = circuitPoint(0, 0);
+  const line = document.getElementById('circuit-start');
+  const reach = 28;
+  line.setAttribute('x1', start.x - start.nx * reach);
+  line.setAttribute('y1', start.y - start.ny * reach);
+  line.setAttribute('x2', start.x + start.nx * reach);
+  line.setAttribute('y2', start.y + start.ny * reach);
+
+  if (state.teams) {
+    const teams = document.getElementById('tower-teams');
+    state.teams.forEach(team => teams.appendChild(buildTeamHeader(team)));
   }
+  const layer = document.getElementById('circuit-layer');
+  const rows = document.getElementById('tower-rows');
+  drivers.forEach((player, i) => {
+    state.circuit.slots[player.socketId] = i;
+    layer.appendChild(buildCircuitCar(player));
+    rows.appendChild(buildTowerRow(player));
+    updateCarPosition(player.socketId, player.progress || 0);
+  });
+  queueTowerSort();
 }
 
-function flashPressed(key) {
-  const btn = document.getElementById('btn-' + key);
-  if (!btn) return;
-  btn.classList.add('btn-ab--pressed');
-  setTimeout(() => btn.classList.remove('btn-ab--pressed'), 90);
+function buildCircuitCar(player) {
+  const car = document.createElement('div');
+  car.className = 'car-wrapper circuit-car' + (player.socketId === state.mySocketId ? ' is-me' : '');
+  car.id = 'car-' + player.socketId;
+  car.innerHTML = carSVG(player.carModel, player.carColor);
+  return car;
 }
 
-function flashWrong(key) {
-  const btn = document.getElementById('btn-' + key);
-  if (!btn) return;
-  btn.classList.add('btn-ab--wrong');
-  setTimeout(() => btn.classList.remove('btn-ab--wrong'), 320);
+function buildTowerRow(player) {
+  const isMe = player.socketId === state.mySocketId;
+  const lapTimes = player.lapTimes || [];
+  const row = document.createElement('div');
+  row.className = 'lane tower-row' + (isMe ? ' is-me' : '');
+  row.id = 'lane-' + player.socketId;
+  row.innerHTML = `
+    <span class="tower-position"></span>
+    <div class="lane-label">
+      <span class="lane-color-dot" style="background:${player.carColor}"></span>
+      <span class="lane-label-name" title="${player.name}">${player.name}</span>
+      ${player.isBot ? '<span class="bot-badge">CPU</span>' : ''}
+    </div>
+    <span class="lane-progress" id="progress-${player.socketId}"></span>
+    <span class="tower-lap-time" id="lap-time-${player.socketId}">${lapTimes.length ? formatTime(lapTimes[lapTimes.length - 1]) : ''}</span>
+    <div class="tower-status" id="track-${player.socketId}"></div>
+  `;
+  return row;
 }
 
-function handleKeyPress(key) {
-  if (state.phase !== 'racing' || state.myFinished) return;
+// The point `along` circuit units from the start line and `offset` units to
+// the right of the centre line, with the heading there and the unit normal
+function circuitPoint(along, offset) {
+  const { path, length } = state.circuit;
+  const at = ((along % length) + length) % length;
+  const behind = path.getPointAtLength(Math.max(0, at - 1));
+  const ahead = path.getPointAtLength(Math.min(length, at + 1));
+  const centre = path.getPointAtLength(at);
+  const heading = Math.atan2(ahead.y - behind.y, ahead.x - behind.x);
+  const nx = -Math.sin(heading);
+  const ny = Math.cos(heading);
+  return {
+    x: centre.x + nx * offset,
+    y: centre.y + ny * offset,
+    angle: heading * 180 / Math.PI,
+    nx,
+    ny,
+  };
+}
 
-  const now = Date.now();
-  if (now - state.lastClickSent < CLICK_THROTTLE_MS) return;
+// Whole race progress (every lap) as a position round the circuit; cars keep
+// to their own line across the road, four abreast
+function placeCircuitCar(socketId, progress) {
+  const car = document.getElementById('car-' + socketId);
+  if (!car) return;
+  const laps = state.settings.laps || 1;
+  const slot = state.circuit.slots[socketId] || 0;
+  const point = circuitPoint((progress / 100) * laps * state.circuit.length, ((slot % 4) - 1.5) * CIRCUIT_GRID_SPACING);
+  car.style.left = (point.x / CIRCUIT_SIZE.width) * 100 + '%';
+  car.style.top = (point.y / CIRCUIT_SIZE.height) * 100 + '%';
+  car.style.transform = `translate(-50%, -50%) rotate(${point.angle}deg)`;
 
-  if (key !== state.nextKey) {
-    flashWrong(key);
-    return;
-  }
+  const pEl = document.getElementById('progress-' + socketId);
+  if (pEl) pEl.textContent = laps > 1 ? `L${lapOf(progress)}/${laps}` : Math.round(progress) + '%';
+}
 
-  state.lastClickSent = now;
+function queueTowerSort() {
+  if (!state.circuit || state.circuit.sortFrame) return;
+  state.circuit.sortFrame = requestAnimationFrame(sortTower);
+}
 
-  // Optimistic update
-  state.clickCount++;
-  const myProgress = Math.min(CLICKS_TO_FINISH, state.clickCount);
-  updateCarPosition(state.mySocketId, myProgress);
-  document.getElementById('race-click-count').textContent = Math.min(CLICKS_TO_FINISH, state.clickCount);
+// Finishers in finishing order, then everyone else by how far they've got;
+// disqualified drivers drop to the bottom. Rows only move when the order changes.
+function sortTower() {
+  if (!state.circuit) return;
+  state.circuit.sortFrame = null;
+  const rows = document.getElementById('tower-rows');
+  if (!rows) return;
+  const order = Object.values(state.players)
+    .sort((a, b) =>
+      (!!a.disqualified - !!b.disqualified) ||
+      ((a.rank || Infinity) - (b.rank || Infinity) || 0) ||
+      (b.progress || 0) - (a.progress || 0))
+    .map(p => document.getElementById('lane-' + p.socketId))
+    .filter(Boolean);
+  const current = [...rows.children];
+  if (order.some((row, i) => current[i] !== row)) order.forEach(row => rows.appendChild(row));
+  order.forEach((row, i) => { row.querySelector('.tower-position').textContent = i + 1; });
+}
 
-  // Visual feedback
-  flashPressed(key);
+// ─── Laps ─────────────────────────────────────────────────────────────────────
+function lapOf(progress) {
+  const laps = state.settings.laps || 1;
+  return Math.min(laps, Math.floor((progress / 100) * laps) + 1);
+}
 
-  // Switch to the other key
-  setActiveKey(key === 'a' ? 'b' : 'a');
+function renderMyLap(progress) {
+  const laps = state.settings.laps || 1;
+  const el = document.getElementById('race-lap');
+  el.classList.toggle('hidden', laps < 2 || state.isSpectator);
+  el.textContent = `LAP ${lapOf(progress)}/${laps}`;
+}
 
-  // Send to server
-  state.socket.emit('click', { roomCode: state.roomCode });
+// A driver's newest lap time in the tower, purple when it's their best
+function showLapTime(socketId) {
+  const player = state.players[socketId];
+  const el = document.getElementById('lap-time-' + socketId);
+  if (!player || !el || !player.lapTimes.length) return;
+  const last = player.lapTimes[player.lapTimes.length - 1];
+  el.textContent = formatTime(last);
+  el.classList.toggle('best', player.lapTimes.length > 1 && last <= Math.min(...player.lapTimes));
 }
 
-function bindRace() {
-  // Touch/click on A/B buttons (mobile + mouse)
-  ['a', 'b'].forEach(k => {
-    const btn = document.getElementById('btn-' + k);
-    btn.addEventListener('pointerdown', e => {
-      e.preventDefault();
-      handleKeyPress(k);
-    });
-  });
+function showLastChanceBanner(duration) {
+  const endsAt = Date.now() + duration;
+  const banner = document.getElementById('last-chance-banner');
+  const secEl  = document.getElementById('last-chance-seconds');
+  if (!banner || !secEl) return;
 
-  // Keyboard support — ignore when user is typing in an input
-  document.addEventListener('keydown', e => {
-    const tag = document.activeElement.tagName;
-    if (tag === 'INPUT' || tag === 'TEXTAREA') return;
-    const k = e.key.toLowerCase();
-    if (k === 'a' || k === 'b') {
-      e.preventDefault();
-      handleKeyPress(k);
+  banner.classList.remove('hidden');
+  banner.classList.add('urgent');
+
+  clearInterval(state.lastChanceTimer);
+  state.lastChanceTimer = setInterval(() => {
+    const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      secEl.textContent = '0';
+      clearInterval(state.lastChanceTimer);
+      return;
     }
-  });
+    secEl.textContent = remaining;
+    if (remaining <= 5) {
+      banner.classList.add('urgent');
+    }
+  }, 250);
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// RESULTS SCREEN
-// ═══════════════════════════════════════════════════════════════════════════════
-function buildResults(results) {
-  buildPodium(results);
-  buildResultsList(results);
-
+function hideLastChanceBanner() {
+  clearInterval(state.lastChanceTimer);
+  state.lastChanceTimer = null;
+  const banner = document.getElementById('last-chance-banner');
+  if (banner) banner.classList.add('hidden');
+}
+
+function updateCarPosition(socketId, progress) {
+  if (socketId === state.mySocketId) renderMyLap(progress);
+  if (state.circuit) return placeCircuitCar(socketId, progress);
+  const car = document.getElementById('car-' + socketId);
+  if (!car) return;
+  // Map 0–100 progress to 0–88% left offset (car reaches finish line at 100)
+  const leftPct = (progress / 100) * 88;
+  car.style.left = leftPct + '%';
+
+  const pEl = document.getElementById('progress-' + socketId);
+  if (pEl) pEl.textContent = Math.round(progress) + '%';
+}
+
+// ─── Car motion ───────────────────────────────────────────────────────────────
+// Progress updates are buffered with the race time the server took them at,
+// and one animation loop draws every car from the buffer: opponents glide
+// between updates a little in the past, so late or bunched packets no longer
+// make them jump. My own car runs the server's physics locally from my clicks
+// and is eased back onto the server's line as its updates come in.
+
+// Local ms since GO, on the server's clock (negative during the countdown)
+function raceNow() {
+  return Date.now() - state.raceStartTime;
+}
+
+function startMotion() {
+  stopMotion();
+  const at = raceNow();
+  const cars = {};
+  Object.values(state.players).forEach(p => {
+    cars[p.socketId] = { snapshots: [{ at, progress: p.progress || 0 }], shown: null };
+  });
+  state.motion = { frame: requestAnimationFrame(motionTick), cars, me: null };
+}
+
+function stopMotion() {
+  if (!state.motion) return;
+  cancelAnimationFrame(state.motion.frame);
+  state.motion = null;
+}
+
+// Every car gets a snapshot per update; those the update left out stay put
+function addSnapshot(at, moved) {
+  const motion = state.motion;
+  if (!motion) return;
+  if (at == null) at = raceNow();
+  Object.keys(moved).forEach(socketId => {
+    if (!motion.cars[socketId]) motion.cars[socketId] = { snapshots: [], shown: null };
+  });
+  Object.entries(motion.cars).forEach(([socketId, car]) => {
+    const last = car.snapshots[car.snapshots.length - 1];
+    if (last && at <= last.at) return;
+    car.snapshots.push({ at, progress: socketId in moved ? moved[socketId] : last.progress });
+    while (car.snapshots.length > 2 && car.snapshots[1].at < at - SNAPSHOT_KEEP_MS) car.snapshots.shift();
+  });
+  if (state.mySocketId in moved) reconcileMyCar(at, moved[state.mySocketId]);
+}
+
+// Progress at race time t: between the two snapshots around it, or carried
+// on from the newest at its last speed for a bounded time
+function sampleSnapshots(snapshots, t) {
+  let i = snapshots.length - 1;
+  while (i > 0 && snapshots[i].at > t) i--;
+  const a = snapshots[i];
+  if (t <= a.at) return a.progress;
+  const b = snapshots[i + 1];
+  if (b) return a.progress + (b.progress - a.progress) * (t - a.at) / (b.at - a.at);
+  const prev = snapshots[i - 1];
+  if (!prev) return a.progress;
+  const speed = (a.progress - prev.progress) / (a.at - prev.at);
+  return a.progress + speed * Math.min(t - a.at, MAX_EXTRAPOLATION_MS);
+}
+
+// Cars are never drawn going backwards: an overshoot waits for the server
+function motionTick() {
+  const motion = state.motion;
+  motion.frame = requestAnimationFrame(motionTick);
+  const now = raceNow();
+  const me = myPrediction(now);
+  Object.entries(motion.cars).forEach(([socketId, car]) => {
+    const target = socketId === state.mySocketId && me
+      ? (me.car.distance / me.target) * 100
+      : sampleSnapshots(car.snapshots, now - INTERP_DELAY_MS);
+    const progress = Math.max(car.shown || 0, Math.min(100, target));
+    if (progress === car.shown) return;
+    car.shown = progress;
+    updateCarPosition(socketId, progress);
+  });
+}
+
+// ─── My car ───────────────────────────────────────────────────────────────────
+// Same model as car-physics.js: clicks add speed up to the top speed, and
+// between clicks the speed decays exponentially with the car's drag. The
+// history of predicted distances lets a server update, which describes the
+// past, be compared with where I thought I was at that same moment.
+
+function canPredictMyCar() {
+  const me = state.players[state.mySocketId];
+  return !!me && !state.isSpectator && !state.myFinished && !waitingForBaton() &&
+    !!state.carProfiles[me.carModel];
+}
+
+// My predicted car brought up to `now`, or null while the server alone moves it
+function myPrediction(now) {
+  const motion = state.motion;
+  if (!motion || !canPredictMyCar()) {
+    if (motion) motion.me = null;
+    return null;
+  }
+  if (!motion.me) {
+    const target = state.myLegTarget || state.settings.clicksToFinish;
+    const from = motion.cars[state.mySocketId];
+    const progress = from ? from.snapshots[from.snapshots.length - 1].progress : 0;
+    motion.me = {
+      profile: state.carProfiles[state.players[state.mySocketId].carModel],
+      target,
+      car: { distance: (progress / 100) * target, speed: 0, movedAt: now },
+      correction: 0,   // distance still to ease in from the last reconciliation
+      eased: 0,        // all correction eased in so far
+      history: [],     // { at, distance, eased }
+    };
+  }
+  const me = motion.me;
+  const { car, profile } = me;
+  const dt = Math.max(0, now - car.movedAt) / 1000;
+  car.movedAt = Math.max(car.movedAt, now);
+  if (now > 0 && dt > 0) {
+    const decay = Math.exp(-profile.drag * dt);
+    car.distance += (car.speed / profile.drag) * (1 - decay);
+    car.speed *= decay;
+
+    const step = me.correction * (1 - Math.exp(-RECONCILE_RATE * dt));
+    car.distance += step;
+    me.correction -= step;
+    me.eased += step;
+    car.distance = Math.max(0, Math.min(me.target, car.distance));
+  }
+
+  me.history.push({ at: now, distance: car.distance, eased: me.eased });
+  while (me.history.length > 2 && me.history[1].at < now - SNAPSHOT_KEEP_MS) me.history.shift();
+  return me;
+}
+
+function predictThrottle(clicks) {
+  const me = myPrediction(raceNow());
+  if (!me || !clicks) return;
+  const { car, profile } = me;
+  if (clicks < 0) {
+    car.speed = Math.max(0, car.speed + profile.acceleration * clicks);
+    return;
+  }
+  const topSpeed = state.myEffects.nitro ? profile.nitroTopSpeed : profile.topSpeed;
+  car.speed = Math.max(car.speed, Math.min(topSpeed, car.speed + profile.acceleration * clicks));
+}
+
+// The server put me at `progress` at race time `at`. Whatever separates that
+// from my prediction for the same moment (less what I've eased in since) is
+// eased in over the next frames, or jumped straight to if it's far out.
+function reconcileMyCar(at, progress) {
+  const me = state.motion.me;
+  if (!me) return;
+  const past = me.history.filter(h => h.at <= at).pop();
+  if (!past) return;
+  const error = (progress / 100) * me.target - past.distance - (me.eased - past.eased);
+  if (Math.abs(error) / me.target * 100 > RECONCILE_SNAP) {
+    me.car.distance = Math.max(0, Math.min(me.target, me.car.distance + error));
+    me.eased += error;
+    me.correction = 0;
+  } else {
+    me.correction = error;
+  }
+}
+
+function startCountdown(startTime) {
+  state.phase = 'countdown';
+  state.raceStartTime = startTime;
+  buildRaceScreen();
+  showScreen('screen-race');
+  scheduleCountdownBeeps(startTime);
+
+  const overlay = document.getElementById('countdown-overlay');
+  const numEl   = document.getElementById('countdown-number');
+  overlay.classList.remove('hidden');
+
+  const hintEl = document.getElementById('countdown-hint');
+  if (hintEl) hintEl.innerHTML = currentMode().hint;
+
+  overlay.classList.remove('countdown-overlay--go');
+
+  state.countdownTimer = setInterval(() => {
+    const remaining = Math.ceil((startTime - Date.now()) / 1000);
+    if (remaining <= 0) return;
+    numEl.textContent = remaining;
+    if (hintEl) hintEl.classList.toggle('hidden', state.isSpectator);
+    // Re-trigger animation
+    numEl.style.animation = 'none';
+    void numEl.offsetWidth; // reflow
+    numEl.style.animation = '';
+  }, 100);
+
+  // Input opens exactly at GO — the server's GO, not the next countdown tick.
+  // The GO! overlay lets clicks through while it fades.
+  clearTimeout(state.goTimer);
+  state.goTimer = setTimeout(() => {
+    clearInterval(state.countdownTimer);
+    numEl.textContent = 'GO!';
+    if (hintEl) hintEl.classList.add('hidden');
+    numEl.style.animation = 'none';
+    void numEl.offsetWidth;
+    numEl.style.animation = '';
+    overlay.classList.add('countdown-overlay--go');
+    beginRacing();
+    setTimeout(() => overlay.classList.add('hidden'), 700);
+  }, Math.max(0, startTime - Date.now()));
+}
+
+// Enables input and starts the live race timer (after GO, or when resuming)
+function beginRacing() {
+  state.phase = 'racing';
+  if (!state.myFinished) renderModeState();
+  if (!state.myFinished && !state.isSpectator) startEngine();
+  const timerEl = document.getElementById('race-timer');
+  if (timerEl) timerEl.textContent = formatTime(Math.max(0, Date.now() - state.raceStartTime));
+  clearInterval(state.raceTimer);
+  state.raceTimer = setInterval(() => {
+    if (timerEl) timerEl.textContent = formatTime(Date.now() - state.raceStartTime);
+  }, 100);
+}
+
+// Rebuilds the race screen mid-race from a server snapshot after a reconnect
+function resumeRace(snapshot) {
+  const me = state.players[state.mySocketId];
+  state.clickCount = me ? me.clickCount : 0;
+  state.lastClickSent = 0;
+  state.progressSeq = 0;
+  state.modeState = snapshot.modeState;
+  state.myFinished = false;
+  state.falseStarted = !!(me && me.penaltyUntil);
+  state.myPenaltyUntil = me && me.penaltyUntil ? toLocalTime(me.penaltyUntil) : 0;
+
+  const startTime = toLocalTime(snapshot.goAt);
+  if (startTime > Date.now()) {
+    startCountdown(startTime);
+  } else {
+    state.raceStartTime = startTime;
+    buildRaceScreen();
+    document.getElementById('countdown-overlay').classList.add('hidden');
+    showScreen('screen-race');
+    beginRacing();
+  }
+
+  document.getElementById('race-click-count').textContent = state.clickCount;
+  snapshot.players.forEach(p => {
+    updateCarPosition(p.socketId, p.progress);
+    if (p.rank && !p.dnf) markPlayerFinished(p.socketId, p.rank, p.finishTime);
+    if (p.disqualified) markPlayerDisqualified(p.socketId);
+    if (p.penaltyUntil) markFalseStart(p.socketId);
+    applyItemSnapshot(p);
+    if (p.disconnected) {
+      const lane = document.getElementById('lane-' + p.socketId);
+      if (lane) lane.classList.add('disconnected');
+    }
+  });
+  if (snapshot.lastChanceRemaining > 0) showLastChanceBanner(snapshot.lastChanceRemaining);
+}
+
+// ─── Track items ──────────────────────────────────────────────────────────────
+// The server decides pickups, targets and effects; these only draw them.
+
+// Puts item boxes on every lane and empties my slot for a new race
+function setupItems() {
+  state.myItem = null;
+  state.myEffects = {};
+  state.mySlip = 0;
+  document.getElementById('btn-item').classList.toggle('hidden', !state.settings.items || state.isSpectator);
+  renderItemSlot();
+  if (!state.settings.items) return;
+
+  // On a circuit everyone shares one set of boxes round the track
+  if (state.circuit) {
+    const laps = state.settings.laps || 1;
+    const layer = document.getElementById('circuit-layer');
+    ITEM_MILESTONES.forEach(milestone => {
+      const point = circuitPoint((milestone / 100) * laps * state.circuit.length, 0);
+      const box = document.createElement('div');
+      box.className = 'item-box';
+      box.dataset.milestone = milestone;
+      box.style.left = (point.x / CIRCUIT_SIZE.width) * 100 + '%';
+      box.style.top = (point.y / CIRCUIT_SIZE.height) * 100 + '%';
+      box.textContent = '?';
+      layer.appendChild(box);
+    });
+    return;
+  }
+
+  Object.keys(state.players).forEach(socketId => {
+    const track = document.getElementById('track-' + socketId);
+    if (!track) return;
+    ITEM_MILESTONES.forEach(milestone => {
+      const box = document.createElement('div');
+      box.className = 'item-box';
+      box.dataset.milestone = milestone;
+      // Same mapping as updateCarPosition, shifted so the car's nose opens it
+      box.style.left = `calc(${(milestone / 100) * 88}% + 56px)`;
+      box.textContent = '?';
+      track.appendChild(box);
+    });
+  });
+}
+
+function renderItemSlot() {
+  const item = state.myItem;
+  const btn = document.getElementById('btn-item');
+  btn.disabled = !item || state.myFinished;
+  btn.dataset.item = item || '';
+  document.getElementById('item-slot-use').setAttribute('href', item ? '#icon-' + item : '');
+  document.getElementById('item-slot-label').textContent = item ? ITEM_LABELS[item].toUpperCase() : 'NO ITEM';
+}
+
+function openItemBox(socketId, milestone) {
+  // Shared circuit boxes only open for my own pickups
+  if (state.circuit && socketId !== state.mySocketId) return;
+  const track = document.getElementById(state.circuit ? 'circuit-layer' : 'track-' + socketId);
+  const box = track && track.querySelector(`.item-box[data-milestone="${milestone}"]`);
+  if (box) box.classList.add('item-box--opened');
+}
+
+// Shows the item a driver is holding next to their name
+function setLaneItem(socketId, item) {
+  const label = document.querySelector(`#lane-${socketId} .lane-label`);
+  if (!label) return;
+  let icon = label.querySelector('.lane-item');
+  if (!item) {
+    if (icon) icon.remove();
+    return;
+  }
+  if (!icon) {
+    icon = document.createElement('span');
+    label.appendChild(icon);
+  }
+  icon.className = 'lane-item lane-item--' + item;
+  icon.title = ITEM_LABELS[item];
+  icon.innerHTML = `<svg viewBox="0 0 24 24"><use href="#icon-${item}"/></svg>`;
+}
+
+// Starts or stops an effect's animation on a car (and tracks my own effects)
+function setCarEffect(socketId, effect, on) {
+  const car = document.getElementById('car-' + socketId);
+  if (car) car.classList.toggle('fx-' + effect, on);
+  if (socketId !== state.mySocketId) return;
+  state.myEffects[effect] = on;
+  if (effect === 'oil') state.mySlip = 0;
+}
+
+// Oil that slid off a shield
+function flashShieldBlock(socketId) {
+  const car = document.getElementById('car-' + socketId);
+  if (!car) return;
+  car.classList.remove('fx-blocked');
+  void car.offsetWidth; // reflow
+  car.classList.add('fx-blocked');
+  setTimeout(() => car.classList.remove('fx-blocked'), 600);
+}
+
+// A puddle under the target car that fades out with the effect
+function dropOilSlick(socketId, durationMs) {
+  const track = document.getElementById('track-' + socketId);
+  const car = document.getElementById('car-' + socketId);
+  if (!track || !car) return;
+  const slick = document.createElement('div');
+  slick.className = 'oil-slick';
+  slick.style.left = car.style.left;
+  if (state.circuit) {
+    slick.style.top = car.style.top;
+    slick.style.transform = car.style.transform;
+  }
+  slick.style.animationDuration = durationMs + 'ms';
+  (state.circuit ? document.getElementById('circuit-layer') : track).appendChild(slick);
+  setTimeout(() => slick.remove(), durationMs);
+}
+
+// Mirrors the server's applyItemEffects so optimistic clicks stay in step
+function itemClicks(clicks) {
+  if (state.myEffects.nitro) clicks *= 2;
+  if (state.myEffects.oil) {
+    const total = state.mySlip + clicks;
+    state.mySlip = total % 2;
+    clicks = Math.floor(total / 2);
+  }
+  return clicks;
+}
+
+function useItem() {
+  if (!canSendInput() || !state.myItem) return;
+  state.socket.emit('click', { roomCode: state.roomCode, action: 'use-item' });
+}
+
+// Restores a driver's slot, opened boxes and running effects after a reconnect
+function applyItemSnapshot(player) {
+  if (!player.items) return;
+  player.items.collected.forEach(milestone => openItemBox(player.socketId, milestone));
+  player.items.effects.forEach(effect => setCarEffect(player.socketId, effect, true));
+  setLaneItem(player.socketId, player.items.held);
+  if (player.socketId === state.mySocketId) {
+    state.myItem = player.items.held;
+    renderItemSlot();
+  }
+}
+
+// ─── Game mode controls ───────────────────────────────────────────────────────
+function currentMode() {
+  return GAME_MODES[state.settings.mode] || GAME_MODES.alternate;
+}
+
+// Same PRNG as game-modes.js, so the prompts match the server's sequence
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function promptAt(seed, index) {
+  const rand = mulberry32((seed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0);
+  return SEQUENCE_KEYS[Math.floor(rand() * SEQUENCE_KEYS.length)];
+}
+
+// The key the server will accept next, or null when the mode has no key order
+function expectedKey() {
+  const ms = state.modeState;
+  if (state.settings.mode === 'alternate') return (ms && ms.nextKey) || 'a';
+  if (state.settings.mode === 'sequence') return ms ? promptAt(ms.seed, ms.index) : null;
+  return null;
+}
+
+function visibleModeControls() {
+  return document.querySelector(`#screen-race .mode-controls[data-mode="${state.settings.mode}"]`);
+}
+
+function modeButton(key) {
+  const controls = visibleModeControls();
+  return controls ? controls.querySelector(`.btn-ab[data-key="${key}"]`) : null;
+}
+
+// Shows the room's control set and puts it back to its pre-race state
+function setupModeControls() {
+  stopModeTimers();
+  document.querySelectorAll('#screen-race .mode-controls').forEach(el => {
+    el.classList.toggle('hidden', el.dataset.mode !== state.settings.mode);
+  });
+  document.getElementById('mode-instruction').innerHTML = currentMode().hint;
+
+  document.querySelectorAll('#screen-race .click-zone .btn-ab').forEach(btn => {
+    btn.disabled = false;
+    btn.classList.remove('btn-ab--pressed', 'btn-ab--wrong');
+    // Single-button modes keep their one button lit
+    btn.classList.toggle('btn-ab--active', btn.dataset.key === 'tap' || btn.dataset.key === 'charge');
+  });
+  document.querySelectorAll('#screen-race .mode-judgement').forEach(el => { el.textContent = ''; });
+  document.getElementById('sequence-now').textContent = '–';
+  document.getElementById('sequence-next').textContent = '–';
+  document.getElementById('charge-fill').style.width = '0%';
+}
+
+// Renders whatever the latest mode state implies (expected key, beat light…)
+function renderModeState() {
+  if (state.isSpectator || state.myFinished || !state.modeState) return;
+  const mode = state.settings.mode;
+
+  if (mode === 'alternate' || mode === 'sequence') setActiveKey(expectedKey());
+  if (mode === 'sequence') {
+    const { seed, index } = state.modeState;
+    document.getElementById('sequence-now').textContent = promptAt(seed, index).toUpperCase();
+    document.getElementById('sequence-next').textContent = promptAt(seed, index + 1).toUpperCase();
+  }
+  if (mode === 'rhythm' && !state.beatTimer) startBeatLight();
+  if (mode === 'charge') {
+    const { stepMs, maxSteps, overheatMs } = state.modeState;
+    const spot = document.getElementById('charge-sweet-spot');
+    spot.style.left = (stepMs * maxSteps / overheatMs) * 100 + '%';
+    spot.style.width = ((overheatMs - stepMs * maxSteps) / overheatMs) * 100 + '%';
+  }
+}
+
+function setActiveKey(key) {
+  const controls = visibleModeControls();
+  if (!controls) return;
+  controls.querySelectorAll('.btn-ab').forEach(btn => {
+    btn.classList.toggle('btn-ab--active', btn.dataset.key === key);
+  });
+}
+
+function flashPressed(key) {
+  const btn = modeButton(key);
+  if (!btn) return;
+  btn.classList.add('btn-ab--pressed');
+  setTimeout(() => btn.classList.remove('btn-ab--pressed'), 90);
+}
+
+function flashWrong(key) {
+  const btn = modeButton(key);
+  if (!btn) return;
+  btn.classList.add('btn-ab--wrong');
+  setTimeout(() => btn.classList.remove('btn-ab--wrong'), 320);
+  playWrongKey();
+}
+
+// Shows the server's verdict on a rhythm tap or a charge release
+function showJudgement(judgement, clicks) {
+  const controls = visibleModeControls();
+  const el = controls && controls.querySelector('.mode-judgement');
+  if (!el) return;
+  const label = JUDGEMENT_LABELS[judgement] || '';
+  el.textContent = clicks ? `${label} +${clicks}` : label;
+}
+
+// Rhythm: flash the light on every beat, counted from GO like the server does
+function startBeatLight() {
+  const light = document.getElementById('beat-light');
+  const beatMs = state.modeState.beatMs;
+  const scheduleNext = () => {
+    const sinceGo = Date.now() - state.raceStartTime;
+    const untilBeat = beatMs - (((sinceGo % beatMs) + beatMs) % beatMs);
+    state.beatTimer = setTimeout(() => {
+      light.classList.add('beat-light--on');
+      setTimeout(() => light.classList.remove('beat-light--on'), 120);
+      scheduleNext();
+    }, untilBeat);
+  };
+  scheduleNext();
+}
+
+// Hold-and-release: fill the meter while held, turning hot past full charge
+function animateChargeMeter() {
+  const fill = document.getElementById('charge-fill');
+  const { stepMs, maxSteps, overheatMs } = state.modeState;
+  const held = Date.now() - state.chargeStartedAt;
+  fill.style.width = Math.min(100, (held / overheatMs) * 100) + '%';
+  fill.classList.toggle('charge-fill--full', held >= stepMs * maxSteps && held <= overheatMs);
+  fill.classList.toggle('charge-fill--over', held > overheatMs);
+  state.chargeFrame = requestAnimationFrame(animateChargeMeter);
+}
+
+function stopModeTimers() {
+  clearTimeout(state.beatTimer);
+  state.beatTimer = null;
+  cancelAnimationFrame(state.chargeFrame);
+  state.chargeFrame = null;
+  state.chargeStartedAt = null;
+}
+
+function disableModeControls() {
+  stopModeTimers();
+  document.querySelectorAll('#screen-race .click-zone .btn-ab').forEach(btn => {
+    btn.disabled = true;
+    // Remove active glow — race is over for me
+    btn.classList.remove('btn-ab--active');
+  });
+  renderItemSlot();
+}
+
+// A null rank is a finished relay leg: those are ranked only in the results
+function addFinishBadge(socketId, rank) {
+  const track = document.getElementById('track-' + socketId);
+  if (track && !track.querySelector('.finish-badge')) {
+    const badge = document.createElement('div');
+    badge.className = 'finish-badge ' + (rank == null ? 'leg' : 'rank-' + rank);
+    badge.textContent = rank == null ? 'LEG ✓' : medalText(rank);
+    track.appendChild(badge);
+  }
+}
+
+function markPlayerFinished(socketId, rank, time) {
+  if (state.players[socketId]) state.players[socketId].rank = rank;
+  addFinishBadge(socketId, rank);
+  queueTowerSort();
+
+  const lane = document.getElementById('lane-' + socketId);
+  if (lane) lane.classList.add('finished');
+
+  // Disable A/B buttons when I finish, but keep watching others race
+  if (socketId === state.mySocketId) {
+    state.myFinished = true;
+    stopEngine();
+    // Freeze timer at server-confirmed finish time
+    clearInterval(state.raceTimer);
+    const timerEl = document.getElementById('race-timer');
+    if (timerEl && time != null) timerEl.textContent = formatTime(time);
+    disableModeControls();
+  }
+}
+
+// Jumped the start: a badge on the lane for the rest of the race
+function markFalseStart(socketId) {
+  const lane = document.getElementById('lane-' + socketId);
+  const label = lane && lane.querySelector('.lane-label');
+  if (!label || label.querySelector('.penalty-badge')) return;
+  const badge = document.createElement('span');
+  badge.className = 'penalty-badge';
+  badge.textContent = 'JUMP';
+  badge.title = 'False start';
+  label.appendChild(badge);
+}
+
+// My false start: held at the line until the penalty runs out after GO
+function showMyPenalty(penaltyMs) {
+  state.myPenaltyUntil = state.raceStartTime + penaltyMs;
+  const note = document.getElementById('false-start-note');
+  note.textContent = `False start! Held for ${(penaltyMs / 1000).toFixed(1)}s after GO`;
+  note.classList.remove('hidden');
+  setTimeout(() => note.classList.add('hidden'), Math.max(0, state.myPenaltyUntil - Date.now()));
+}
+
+function markPlayerDisqualified(socketId) {
+  if (state.players[socketId]) state.players[socketId].disqualified = true;
+
+  const lane = document.getElementById('lane-' + socketId);
+  if (lane) lane.classList.add('disqualified');
+
+  const track = document.getElementById('track-' + socketId);
+  if (track && !track.querySelector('.finish-badge')) {
+    const badge = document.createElement('div');
+    badge.className = 'finish-badge dq';
+    badge.textContent = 'DQ';
+    track.appendChild(badge);
+  }
+
+  if (socketId === state.mySocketId) {
+    state.myFinished = true;
+    stopEngine();
+    clearInterval(state.raceTimer);
+    disableModeControls();
+  }
+}
+
+function canSendInput() {
+  return state.phase === 'racing' && !state.myFinished && !state.isSpectator && !waitingForBaton() &&
+    Date.now() >= state.myPenaltyUntil;
+}
+
+// Pressing before GO still reaches the server, which calls the false start
+function jumpStart(input) {
+  if (state.isSpectator || state.falseStarted) return;
+  state.falseStarted = true;
+  state.lastPredicted = 0;
+  state.socket.emit('click', { roomCode: state.roomCode, ...input });
+}
+
+// Clicks are throttle: the counter moves here and my predicted car speeds up
+// (or, for a rolled-back click, gives the speed back)
+function addMyClicks(clicks) {
+  state.clickCount = Math.max(0, state.clickCount + clicks);
+  document.getElementById('race-click-count').textContent = state.clickCount;
+  predictThrottle(clicks);
+  engineClicks(clicks);
+}
+
+// Keyed modes (A/B alternate, key sequence): the next key is predictable, so
+// the click counts locally straight away and is rolled back if rejected
+function handleKeyPress(key) {
+  if (state.phase === 'countdown') return jumpStart({ key });
+  if (!canSendInput()) return;
+
+  const now = Date.now();
+  if (now - state.lastClickSent < CLICK_THROTTLE_MS) return;
+
+  const expected = expectedKey();
+  if (!expected) return;
+  if (key !== expected) {
+    flashWrong(key);
+    return;
+  }
+
+  state.lastClickSent = now;
+
+  // Optimistic update, worth what the server will count under item effects
+  state.lastPredicted = itemClicks(1);
+  addMyClicks(state.lastPredicted);
+
+  // Visual feedback
+  flashPressed(key);
+
+  // Move on to the next expected key
+  if (state.settings.mode === 'sequence') state.modeState = { ...state.modeState, index: state.modeState.index + 1 };
+  else state.modeState = { nextKey: key === 'a' ? 'b' : 'a' };
+  renderModeState();
+
+  // Send to server — it validates the key order itself
+  state.socket.emit('click', { roomCode: state.roomCode, key });
+}
+
+// Rhythm: only the server can tell a hit from a miss, so wait for its verdict
+function handleTap() {
+  if (state.phase === 'countdown') return jumpStart({ key: 'tap' });
+  if (!canSendInput()) return;
+  const now = Date.now();
+  if (now - state.lastClickSent < CLICK_THROTTLE_MS) return;
+  state.lastClickSent = now;
+  flashPressed('tap');
+  state.socket.emit('click', { roomCode: state.roomCode, key: 'tap' });
+}
+
+// Hold-and-release: the server times the hold between 'down' and 'up'
+function handleCharge(action) {
+  if (state.phase === 'countdown' && action === 'down') return jumpStart({ action });
+  if (!canSendInput() || !state.modeState) return;
+  const roomCode = state.roomCode;
+
+  if (action === 'down') {
+    if (state.chargeStartedAt) return;
+    state.chargeStartedAt = Date.now();
+    state.lastClickSent = state.chargeStartedAt;
+    flashPressed('charge');
+    animateChargeMeter();
+    state.socket.emit('click', { roomCode, action: 'down' });
+    return;
+  }
+
+  if (!state.chargeStartedAt) return;
+  state.chargeStartedAt = null;
+  cancelAnimationFrame(state.chargeFrame);
+  state.chargeFrame = null;
+  document.getElementById('charge-fill').style.width = '0%';
+  state.socket.emit('click', { roomCode, action: 'up' });
+}
+
+function bindRace() {
+  // Touch/click on keyed buttons (mobile + mouse)
+  document.querySelectorAll('.mode-controls[data-mode="alternate"] .btn-ab, .mode-controls[data-mode="sequence"] .btn-ab').forEach(btn => {
+    btn.addEventListener('pointerdown', e => {
+      e.preventDefault();
+      handleKeyPress(btn.dataset.key);
+    });
+  });
+
+  document.getElementById('btn-tap').addEventListener('pointerdown', e => {
+    e.preventDefault();
+    handleTap();
+  });
+
+  const chargeBtn = document.getElementById('btn-charge');
+  chargeBtn.addEventListener('pointerdown', e => {
+    e.preventDefault();
+    chargeBtn.setPointerCapture(e.pointerId);
+    handleCharge('down');
+  });
+  chargeBtn.addEventListener('pointerup', () => handleCharge('up'));
+  chargeBtn.addEventListener('pointercancel', () => handleCharge('up'));
+
+  document.getElementById('btn-item').addEventListener('pointerdown', e => {
+    e.preventDefault();
+    useItem();
+  });
+
+  // Keyboard support — ignore when user is typing in an input
+  document.addEventListener('keydown', e => {
+    const tag = document.activeElement.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+    const k = e.key.toLowerCase();
+    if (k === 'e' && state.settings.items) {
+      e.preventDefault();
+      if (!e.repeat) useItem();
+      return;
+    }
+    if (!currentMode().keys.includes(k)) return;
+    e.preventDefault();
+    if (state.settings.mode === 'rhythm') {
+      if (!e.repeat) handleTap();
+    } else if (state.settings.mode === 'charge') {
+      handleCharge('down');
+    } else {
+      handleKeyPress(k);
+    }
+  });
+
+  document.addEventListener('keyup', e => {
+    if (state.settings.mode === 'charge' && e.key === ' ') handleCharge('up');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESULTS SCREEN
+// ═══════════════════════════════════════════════════════════════════════════════
+function buildResults(results, replayId) {
+  const champ = state.championship;
+  const final = !!(champ && champ.complete);
+
+  // The last round of a championship crowns the champion on the podium
+  document.querySelector('#screen-results .results-title').textContent = final ? 'CHAMPIONSHIP' : 'RACE RESULTS';
+  buildPodium(final ? champ.standings : results);
+  buildResultsList(results);
+
+  const teamsCard = document.getElementById('results-teams-card');
+  teamsCard.classList.toggle('hidden', !state.teamResults);
+  if (state.teamResults) {
+    document.getElementById('results-team-mode').textContent = TEAM_MODE_LABELS[state.settings.teamMode] || '';
+    buildTeamResults(state.teamResults);
+  }
+
+  const champCard = document.getElementById('results-championship-card');
+  champCard.classList.toggle('hidden', !champ);
+  if (champ) {
+    document.getElementById('results-championship-title').textContent = final ? 'FINAL STANDINGS' : 'CHAMPIONSHIP';
+    document.getElementById('results-championship-round').textContent = roundLabel(champ);
+    buildStandings('results-standings', champ);
+  }
+  document.getElementById('btn-play-again-label').textContent =
+    !champ ? 'Race Again' : final ? 'New Championship' : 'Next Round';
+
+  const btnReplay = document.getElementById('btn-watch-replay');
+  btnReplay.classList.toggle('hidden', !replayId);
+  btnReplay.dataset.replayId = replayId || '';
+
   const btnPlayAgain = document.getElementById('btn-play-again');
   const waiting = document.getElementById('results-waiting');
   if (state.isHost) {
@@ -435,6 +2091,7 @@ function buildResults(results) {
     btnPlayAgain.classList.add('hidden');
     if (waiting) waiting.classList.remove('hidden');
   }
+  updateSpectatorControls();
 }
 
 function buildPodium(results) {
@@ -474,20 +2131,396 @@ function buildResultsList(results) {
       <span class="result-rank">${player.rank}</span>
       <span class="result-color-dot" style="background:${player.carColor}"></span>
       <div class="result-player-info">
-        <span class="result-name">${player.name}${isMe ? ' ★' : ''}</span>
+        <span class="result-name">${player.name}${isMe ? ' ★' : ''}${player.isBot ? '<span class="bot-badge">CPU</span>' : ''}</span>
         <span class="result-car">${CAR_LABELS[player.carModel] || player.carModel}</span>
+        ${lapSplits(player)}
       </div>
       <span class="result-time">${player.finishTime != null ? formatTime(player.finishTime) : ''}</span>
+      ${teamTag(player)}
+      ${player.championshipPoints ? `<span class="points-badge">+${player.championshipPoints}</span>` : ''}
+      ${player.personalBest ? `<span class="pb-badge" title="${player.previousBest != null ? 'Previous best ' + formatTime(player.previousBest) : 'First recorded time'}">NEW PB</span>` : ''}
       ${player.dnf ? '<span class="dnf-badge">DNF</span>' : ''}
+      ${integrityBadge(player)}
     `;
     list.appendChild(row);
   });
 }
 
+// Every lap time, the driver's best picked out
+function lapSplits(player) {
+  const lapTimes = player.lapTimes || [];
+  if (lapTimes.length < 2) return '';
+  const best = Math.min(...lapTimes);
+  return `<span class="result-laps">${lapTimes.map((t, i) =>
+    `<span class="${t === best ? 'best' : ''}" title="Lap ${i + 1}">${formatTime(t)}</span>`).join(' · ')}</span>`;
+}
+
+// ─── Team results ─────────────────────────────────────────────────────────────
+function buildTeamResults(teams) {
+  const list = document.getElementById('results-teams');
+  list.innerHTML = '';
+  teams.forEach(team => {
+    const row = document.createElement('div');
+    row.className = 'standing-row' + (team.members.includes(state.mySocketId) ? ' is-me' : '');
+    row.innerHTML = `
+      <span class="result-rank">${team.rank}</span>
+      <span class="result-color-dot" style="background:${team.color}"></span>
+      <span class="result-name">${team.name}</span>
+      <span class="standing-finishes">${team.members.length} driver${team.members.length === 1 ? '' : 's'}</span>
+      <span class="standing-points">${team.finishTime != null ? formatTime(team.finishTime) : Math.round(team.progress) + '%'}</span>
+    `;
+    list.appendChild(row);
+  });
+}
+
+// Each driver's row also shows where their team placed
+function teamTag(player) {
+  if (!state.teamResults || player.team == null) return '';
+  const team = state.teamResults.find(t => t.team === player.team);
+  if (!team) return '';
+  return `<span class="team-tag" style="--team-color:${team.color}">${team.name} · ${medalText(team.rank)}</span>`;
+}
+
+// ─── Championship standings ───────────────────────────────────────────────────
+function roundLabel(championship) {
+  if (championship.complete) return `Final · ${championship.rounds} rounds`;
+  return `Round ${championship.round} of ${championship.rounds}`;
+}
+
+function buildStandings(listId, championship) {
+  const list = document.getElementById(listId);
+  list.innerHTML = '';
+
+  championship.standings.forEach(entry => {
+    const isMe = entry.socketId != null && entry.socketId === state.mySocketId;
+    const row = document.createElement('div');
+    row.className = 'standing-row' + (isMe ? ' is-me' : '');
+    row.innerHTML = `
+      <span class="result-rank">${entry.rank}</span>
+      <span class="result-color-dot" style="background:${entry.carColor}"></span>
+      <span class="result-name">${entry.name}${isMe ? ' ★' : ''}${entry.isBot ? '<span class="bot-badge">CPU</span>' : ''}</span>
+      <span class="standing-finishes" title="Finish per round">${entry.finishes.map(r => (r == null ? '–' : r)).join(' · ')}</span>
+      <span class="standing-points">${entry.points} pts</span>
+    `;
+    list.appendChild(row);
+  });
+}
+
+function renderLobbyChampionship() {
+  const champ = state.championship;
+  document.getElementById('lobby-championship-card').classList.toggle('hidden', !champ);
+  if (!champ) return;
+  document.getElementById('lobby-championship-round').textContent =
+    `Next: round ${Math.min(champ.round + 1, champ.rounds)} of ${champ.rounds}`;
+  buildStandings('lobby-standings', champ);
+}
+
+const INTEGRITY_LABELS = {
+  'steady-rhythm': 'Machine-steady click timing',
+  'max-rate':      'Sustained max-rate clicking',
+  'flooding':      'Click flooding',
+};
+
+function integrityBadge(player) {
+  if (player.disqualified) {
+    return `<span class="dq-badge" title="${(player.flags || []).map(f => INTEGRITY_LABELS[f] || f).join(', ')}">DQ</span>`;
+  }
+  if (player.flags && player.flags.length) {
+    return `<span class="flag-badge" title="${player.flags.map(f => INTEGRITY_LABELS[f] || f).join(', ')}">FLAGGED</span>`;
+  }
+  return '';
+}
+
 function bindResults() {
   document.getElementById('btn-play-again').addEventListener('click', () => {
     state.socket.emit('reset-room', { roomCode: state.roomCode });
   });
+
+  document.getElementById('btn-watch-replay').addEventListener('click', e => {
+    const replayId = e.currentTarget.dataset.replayId;
+    if (replayId) openReplay(replayId);
+  });
+
+  document.getElementById('btn-drive-next').addEventListener('click', () => {
+    const me = state.spectators[state.mySocketId];
+    state.socket.emit('request-drive', { roomCode: state.roomCode, wantsToDrive: !(me && me.wantsToDrive) });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPLAY SCREEN
+// ═══════════════════════════════════════════════════════════════════════════════
+const replayState = {
+  replay:   null,
+  duration: 0,      // ms of race time covered by the replay
+  time:     0,      // current playhead, ms after GO
+  speed:    1,
+  playing:  false,
+  frame:    null,   // requestAnimationFrame handle
+  lastTick: 0,
+};
+
+function openReplay(replayId) {
+  fetch('/api/replays/' + encodeURIComponent(replayId))
+    .then(res => {
+      if (!res.ok) throw new Error('missing');
+      return res.json();
+    })
+    .then(startReplay)
+    .catch(() => alert('This replay is no longer available.'));
+}
+
+function startReplay(replay) {
+  // Replay lanes reuse the race lane ids, so the old race track must go
+  document.getElementById('track-container').innerHTML = '';
+  state.circuit = null;
+  stopMotion();
+  const container = document.getElementById('replay-track-container');
+  container.innerHTML = '';
+  replay.players.forEach(p => container.appendChild(buildLane(p, replay.players.length)));
+
+  const lastClick = Math.max(0, ...replay.players.map(p => {
+    const marks = replayMarks(p);
+    return marks[marks.length - 1] || 0;
+  }));
+  replayState.replay = replay;
+  replayState.duration = lastClick + 1000;
+  replayState.time = 0;
+
+  document.getElementById('replay-scrubber').max = replayState.duration;
+  document.getElementById('replay-download').href = '/api/replays/' + encodeURIComponent(replay.id) + '?download=1';
+
+  renderReplayFrame();
+  showScreen('screen-replay');
+  playReplay();
+}
+
+// When each unit of distance was covered. Replays recorded before cars had
+// momentum only kept clicks, and back then a click was a unit of distance.
+function replayMarks(player) {
+  return player.splits || player.clicks;
+}
+
+// Number of marks at or before time t (marks are sorted ascending)
+function marksAt(marks, t) {
+  let lo = 0;
+  let hi = marks.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (marks[mid] <= t) lo = mid + 1; else hi = mid;
+  }
+  return lo;
+}
+
+function renderReplayFrame() {
+  const { replay, time } = replayState;
+  replay.players.forEach(p => {
+    // Relay drivers only drive their own leg
+    const distance = p.legTarget != null ? p.legTarget : replay.distance;
+    const count = Math.min(distance, marksAt(replayMarks(p), time));
+    updateCarPosition(p.socketId, distance ? (count / distance) * 100 : 0);
+
+    const finished = distance > 0 && count >= distance && !p.dnf;
+    const lane = document.getElementById('lane-' + p.socketId);
+    if (lane) lane.classList.toggle('finished', finished);
+    if (finished) {
+      addFinishBadge(p.socketId, p.rank);
+    } else {
+      const badge = document.querySelector('#track-' + p.socketId + ' .finish-badge');
+      if (badge) badge.remove();
+    }
+  });
+  document.getElementById('replay-timer').textContent = formatTime(time);
+  document.getElementById('replay-scrubber').value = time;
+}
+
+function replayTick(ts) {
+  const dt = ts - replayState.lastTick;
+  replayState.lastTick = ts;
+  replayState.time = Math.min(replayState.duration, replayState.time + dt * replayState.speed);
+  renderReplayFrame();
+  if (replayState.time >= replayState.duration) {
+    pauseReplay();
+    return;
+  }
+  replayState.frame = requestAnimationFrame(replayTick);
+}
+
+function playReplay() {
+  if (replayState.time >= replayState.duration) replayState.time = 0;
+  replayState.playing = true;
+  replayState.lastTick = performance.now();
+  cancelAnimationFrame(replayState.frame);
+  replayState.frame = requestAnimationFrame(replayTick);
+  document.getElementById('btn-replay-play').textContent = 'Pause';
+}
+
+function pauseReplay() {
+  replayState.playing = false;
+  cancelAnimationFrame(replayState.frame);
+  document.getElementById('btn-replay-play').textContent = 'Play';
+}
+
+function closeReplay() {
+  pauseReplay();
+  replayState.replay = null;
+  document.getElementById('replay-track-container').innerHTML = '';
+}
+
+function bindReplay() {
+  document.getElementById('btn-replay-play').addEventListener('click', () => {
+    if (replayState.playing) pauseReplay(); else playReplay();
+  });
+
+  document.getElementById('replay-speeds').addEventListener('click', e => {
+    const btn = e.target.closest('.replay-speed');
+    if (!btn) return;
+    document.querySelectorAll('.replay-speed').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    replayState.speed = parseFloat(btn.dataset.speed);
+  });
+
+  document.getElementById('replay-scrubber').addEventListener('input', e => {
+    if (!replayState.replay) return;
+    replayState.time = parseFloat(e.target.value);
+    renderReplayFrame();
+  });
+
+  document.getElementById('btn-replay-close').addEventListener('click', () => {
+    closeReplay();
+    showScreen(state.phase === 'finished' ? 'screen-results' : 'screen-lobby');
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSION
+// ═══════════════════════════════════════════════════════════════════════════════
+function saveSession(code, sessionToken) {
+  sessionStorage.setItem('mercedesRaceRoom', JSON.stringify({ code, sessionToken }));
+}
+
+// Resume our seat if this tab already holds a session (reconnect or reload)
+function rejoinSavedRoom() {
+  const saved = sessionStorage.getItem('mercedesRaceRoom');
+  if (!saved) return;
+  try {
+    const { code, sessionToken } = JSON.parse(saved);
+    if (code && sessionToken) state.socket.emit('rejoin-room', { code, sessionToken });
+  } catch (_) {}
+}
+
+// Rebuilds whichever screen the room is on from a server snapshot
+// (reconnecting drivers, and spectators arriving at any phase)
+function applyRoomSnapshot(code, hostId, isSpectator, snapshot) {
+  state.roomCode = code;
+  state.isSpectator = !!isSpectator;
+  state.isHost = state.mySocketId === hostId;
+  state.roomHostId = hostId;
+  state.settings = snapshot.settings;
+  state.roomLocked = snapshot.locked;
+  state.chat = snapshot.chat;
+  state.autoStart = snapshot.autoStart;
+  state.championship = snapshot.championship;
+  if (snapshot.phase === 'finished') state.teamResults = snapshot.teams;
+  else applyTeams(snapshot.teams);
+  state.players = {};
+  snapshot.players.forEach(p => { state.players[p.socketId] = p; });
+  state.spectators = {};
+  snapshot.spectators.forEach(s => { state.spectators[s.socketId] = s; });
+  const me = state.players[state.mySocketId] || state.spectators[state.mySocketId];
+  if (me) { state.myName = me.name; state.myCarModel = me.carModel; }
+
+  clearInterval(state.countdownTimer);
+  clearTimeout(state.goTimer);
+  clearInterval(state.raceTimer);
+  hideLastChanceBanner();
+  closeReplay();
+
+  if (snapshot.phase === 'racing') {
+    resumeRace(snapshot);
+  } else if (snapshot.phase === 'finished' && snapshot.results) {
+    state.phase = 'finished';
+    buildResults(snapshot.results, snapshot.replayId);
+    showScreen('screen-results');
+  } else {
+    enterLobby(code, snapshot.players, hostId);
+  }
+}
+
+function leaveToLanding(reason) {
+  closeReplay();
+  state.phase = 'idle';
+  state.roomCode = null;
+  state.isHost = false;
+  state.roomLocked = false;
+  state.chat = [];
+  setAutoStart(null);
+  state.isSpectator = false;
+  state.players = {};
+  state.spectators = {};
+  clearInterval(state.countdownTimer);
+  clearTimeout(state.goTimer);
+  clearInterval(state.raceTimer);
+  stopMotion();
+  cancelCountdownBeeps();
+  stopEngine();
+  hideLastChanceBanner();
+  stopModeTimers();
+  document.getElementById('countdown-overlay').classList.add('hidden');
+  showScreen('screen-landing');
+  loadLeaderboard();
+  loadPublicRooms();
+  if (reason) showLandingError(reason);
+}
+
+// A player who reconnected comes back under a new socket id: move their state
+// and the DOM nodes keyed by the old id over to the new one.
+function rekeyPlayer(previousSocketId, player) {
+  const newId = player.socketId;
+  const existing = state.players[previousSocketId];
+  delete state.players[previousSocketId];
+  state.players[newId] = Object.assign(existing || {}, player);
+  if (previousSocketId === newId) return;
+
+  ['lobby-player-', 'lane-', 'track-', 'car-', 'progress-', 'lap-time-'].forEach(prefix => {
+    const el = document.getElementById(prefix + previousSocketId);
+    if (el) el.id = prefix + newId;
+  });
+  rekeyEntry(state.circuit && state.circuit.slots, previousSocketId, newId);
+  rekeyEntry(state.motion && state.motion.cars, previousSocketId, newId);
+}
+
+// Moves a socket-id-keyed entry (if there is one) to the player's new id
+function rekeyEntry(byId, previousSocketId, newId) {
+  if (!byId || !(previousSocketId in byId)) return;
+  byId[newId] = byId[previousSocketId];
+  delete byId[previousSocketId];
+}
+
+// ─── Clock sync ───────────────────────────────────────────────────────────────
+// NTP-style: each ping's round trip gives an estimate of the server clock
+// offset, and the sample with the shortest round trip is trusted most since
+// it leaves the least room for asymmetric delay. Race times (GO, penalties)
+// arrive as server timestamps and are converted with the offset.
+function sendClockPing() {
+  if (state.socket && state.socket.connected) state.socket.emit('clock-ping', { clientSentAt: Date.now() });
+}
+
+function syncClock() {
+  for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) setTimeout(sendClockPing, i * CLOCK_SYNC_GAP_MS);
+}
+
+function addClockSample(clientSentAt, serverTime, receivedAt) {
+  const rtt = receivedAt - clientSentAt;
+  if (!(rtt >= 0)) return;
+  state.clockSamples.push({ rtt, offset: serverTime + rtt / 2 - receivedAt });
+  if (state.clockSamples.length > CLOCK_KEEP_SAMPLES) state.clockSamples.shift();
+  const best = state.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+  state.clockOffset = Math.round(best.offset);
+}
+
+function toLocalTime(serverTime) {
+  return serverTime - state.clockOffset;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -499,51 +2532,98 @@ function bindSocket() {
   // Connection status
   socket.on('connect', () => {
     state.mySocketId = socket.id;
+    state.serverRestarting = false;
+    document.getElementById('server-banner').classList.add('hidden');
     document.getElementById('loading-note').textContent = 'Connected';
     setTimeout(() => document.getElementById('loading-note').classList.add('hidden'), 1500);
 
-    // Rejoin attempt if we have a saved room
-    const saved = sessionStorage.getItem('mercedesRaceRoom');
-    if (saved && state.phase !== 'idle') {
-      try {
-        const { code, name, carModel } = JSON.parse(saved);
-        socket.emit('rejoin-room', { code, name, carModel });
-      } catch (_) {}
-    }
+    syncClock();
+    // Resume our seat if this tab already holds a session (reconnect or reload)
+    rejoinSavedRoom();
+  });
+
+  socket.on('clock-pong', ({ clientSentAt, serverTime }) => {
+    addClockSample(clientSentAt, serverTime, Date.now());
   });
+  setInterval(sendClockPing, CLOCK_RESYNC_MS);
 
   socket.on('disconnect', () => {
-    document.getElementById('loading-note').textContent = 'Reconnecting...';
+    document.getElementById('loading-note').textContent = state.serverRestarting ? 'Server restarting...' : 'Reconnecting...';
     document.getElementById('loading-note').classList.remove('hidden');
   });
 
+  // The server is about to go down; our room is saved and comes back with it
+  socket.on('server-restarting', ({ reason }) => {
+    state.serverRestarting = true;
+    const banner = document.getElementById('server-banner');
+    banner.textContent = reason;
+    banner.classList.remove('hidden');
+  });
+
+  // Our room is back on a restarted server while this socket stayed connected
+  socket.on('room-restored', ({ code }) => {
+    if (code === state.roomCode) rejoinSavedRoom();
+  });
+
   // ── Landing events ─────────────────────────────────────────────────────────
-  socket.on('room-created', ({ code, player }) => {
+  socket.on('room-created', ({ code, player, sessionToken, settings }) => {
+    state.settings = settings;
+    state.championship = null;
     state.isHost = true;
+    state.roomLocked = false;
+    state.chat = [];
+    state.autoStart = null;
+    state.isSpectator = false;
+    state.roomHostId = socket.id;
     state.myName = player.name;
     state.players[player.socketId] = player;
-    sessionStorage.setItem('mercedesRaceRoom', JSON.stringify({
-      code, name: player.name, carModel: player.carModel
-    }));
-    enterLobby(code, [player], socket.id);
+    saveSession(code, sessionToken);
+    enterLobby(code, [player], socket.id, []);
   });
 
-  socket.on('room-joined', ({ code, players, hostId }) => {
+  socket.on('room-joined', ({ code, players, spectators, hostId, sessionToken, spectator, snapshot, settings, championship, locked, chat, autoStart }) => {
+    saveSession(code, sessionToken);
+    if (settings) state.settings = settings;
+    state.championship = championship || null;
+    if (spectator) {
+      applyRoomSnapshot(code, hostId, true, snapshot);
+      return;
+    }
+    state.roomLocked = locked;
+    state.chat = chat;
+    state.autoStart = autoStart;
+    state.isSpectator = false;
     state.isHost = socket.id === hostId;
+    state.roomHostId = hostId;
     const me = players.find(p => p.socketId === socket.id);
     if (me) state.myName = me.name;
-    sessionStorage.setItem('mercedesRaceRoom', JSON.stringify({
-      code, name: state.myName, carModel: state.myCarModel
-    }));
-    enterLobby(code, players, hostId);
+    enterLobby(code, players, hostId, spectators || []);
+  });
+
+  socket.on('room-rejoined', ({ code, hostId, sessionToken, spectator, snapshot }) => {
+    saveSession(code, sessionToken);
+    applyRoomSnapshot(code, hostId, spectator, snapshot);
+  });
+
+  socket.on('room-closed', ({ reason }) => {
+    sessionStorage.removeItem('mercedesRaceRoom');
+    leaveToLanding(reason);
+  });
+
+  socket.on('kicked', ({ reason }) => {
+    sessionStorage.removeItem('mercedesRaceRoom');
+    leaveToLanding();
+    document.getElementById('kicked-reason').textContent = reason;
+    showScreen('screen-kicked');
   });
 
   socket.on('join-error', ({ reason }) => {
     showLandingError(reason);
   });
 
-  socket.on('rejoin-failed', () => {
+  socket.on('rejoin-failed', ({ reason }) => {
     sessionStorage.removeItem('mercedesRaceRoom');
+    if (state.phase !== 'idle') leaveToLanding(reason);
   });
 
   // ── Lobby events ───────────────────────────────────────────────────────────
@@ -562,24 +2642,7 @@ function bindSocket() {
     if (card) card.remove();
     updatePlayerCount();
 
-    if (newHostId) {
-      state.roomHostId = newHostId;
-      if (newHostId === socket.id) {
-        state.isHost = true;
-        document.getElementById('btn-start-race').classList.remove('hidden');
-        document.getElementById('lobby-waiting').classList.add('hidden');
-        updateStartButton();
-      }
-      // Update host badge
-      document.querySelectorAll('.host-badge').forEach(b => b.remove());
-      const newHostCard = document.getElementById('lobby-player-' + newHostId);
-      if (newHostCard) {
-        const badge = document.createElement('span');
-        badge.className = 'host-badge';
-        badge.textContent = 'HOST';
-        newHostCard.appendChild(badge);
-      }
-    }
+    if (newHostId) setRoomHost(newHostId);
 
     if (state.isHost) updateStartButton();
 
@@ -590,115 +2653,284 @@ function bindSocket() {
     }
   });
 
-  socket.on('host-changed', ({ newHostId }) => {
-    state.roomHostId = newHostId;
-    if (newHostId === socket.id) {
-      state.isHost = true;
-      const btn = document.getElementById('btn-start-race');
-      if (btn) { btn.classList.remove('hidden'); updateStartButton(); }
-      const w = document.getElementById('lobby-waiting');
-      if (w) w.classList.add('hidden');
+  socket.on('player-disconnected', ({ socketId }) => {
+    const card = document.getElementById('lobby-player-' + socketId);
+    if (card) card.classList.add('disconnected');
+    const lane = document.getElementById('lane-' + socketId);
+    if (lane) lane.classList.add('disconnected');
+  });
+
+  socket.on('player-rejoined', ({ previousSocketId, player, hostId }) => {
+    rekeyPlayer(previousSocketId, player);
+    state.roomHostId = hostId;
+    if (state.phase === 'lobby') {
+      renderAllLobbyPlayers(Object.values(state.players), hostId);
+    } else {
+      const lane = document.getElementById('lane-' + player.socketId);
+      if (lane) lane.classList.remove('disconnected');
     }
   });
 
+  socket.on('spectator-joined', ({ spectator }) => {
+    state.spectators[spectator.socketId] = spectator;
+    renderLobbySpectators();
+  });
+
+  socket.on('spectator-updated', ({ spectator }) => {
+    state.spectators[spectator.socketId] = spectator;
+    renderLobbySpectators();
+    updateSpectatorControls();
+  });
+
+  socket.on('spectator-rejoined', ({ previousSocketId, spectator }) => {
+    delete state.spectators[previousSocketId];
+    state.spectators[spectator.socketId] = spectator;
+    renderLobbySpectators();
+  });
+
+  socket.on('spectator-left', ({ socketId }) => {
+    delete state.spectators[socketId];
+    renderLobbySpectators();
+  });
+
+  socket.on('spectator-promoted', ({ player }) => {
+    delete state.spectators[player.socketId];
+    state.players[player.socketId] = player;
+    if (player.socketId === socket.id) state.isSpectator = false;
+    renderAllLobbyPlayers(Object.values(state.players), state.roomHostId);
+    renderLobbySpectators();
+    updateSpectatorControls();
+    if (state.isHost) updateStartButton();
+  });
+
+  socket.on('host-changed', ({ newHostId }) => {
+    setRoomHost(newHostId);
+  });
+
+  socket.on('room-locked', ({ locked }) => {
+    state.roomLocked = locked;
+    renderRoomLock();
+  });
+
+  socket.on('player-ready', ({ socketId, ready }) => {
+    const player = state.players[socketId];
+    if (!player) return;
+    player.ready = ready;
+    if (state.phase === 'lobby') renderAllLobbyPlayers(Object.values(state.players), state.roomHostId);
+  });
+
+  socket.on('auto-start', ({ autoStart, reason }) => {
+    setAutoStart(autoStart, reason);
+  });
+
+  socket.on('chat-message', msg => {
+    addChatMessage(msg);
+  });
+
+  socket.on('chat-error', ({ reason }) => {
+    const card = document.querySelector('.screen.active .chat-card');
+    if (card) showChatNote(card, reason);
+  });
+
+  socket.on('reaction', ({ socketId, emoji }) => {
+    floatReaction(socketId, emoji);
+  });
+
+  socket.on('settings-updated', ({ settings, championship }) => {
+    state.settings = settings;
+    state.championship = championship;
+    renderSettings();
+    renderAllLobbyPlayers(Object.values(state.players), state.roomHostId);
+    renderLobbyChampionship();
+    updatePlayerCount();
+    updateSpectatorControls();
+  });
+
+  socket.on('teams-updated', ({ assignments }) => {
+    assignments.forEach(({ socketId, team }) => {
+      if (state.players[socketId]) state.players[socketId].team = team;
+    });
+    if (state.phase === 'lobby') renderAllLobbyPlayers(Object.values(state.players), state.roomHostId);
+  });
+
+  socket.on('settings-error', ({ reason, settings }) => {
+    state.settings = settings;
+    renderSettings();
+    alert(reason);
+  });
+
   socket.on('start-error', ({ reason }) => {
     alert(reason);
   });
 
   // ── Race events ────────────────────────────────────────────────────────────
-  socket.on('race-started', ({ startDelay }) => {
-    const startTime = Date.now() + startDelay;
+  socket.on('race-started', ({ goAt, settings, teams }) => {
+    closeReplay();
+    setAutoStart(null);
+    state.settings = settings;
+    applyTeams(teams);
+    const startTime = toLocalTime(goAt);
     state.clickCount = 0;
     state.lastClickSent = 0;
-    state.nextKey = 'a';
+    state.progressSeq = 0;
+    state.modeState = null;
     state.myFinished = false;
-    Object.values(state.players).forEach(p => { p.progress = 0; });
+    state.falseStarted = false;
+    state.myPenaltyUntil = 0;
+    Object.values(state.players).forEach(p => { p.progress = 0; p.lapTimes = []; });
     startCountdown(startTime);
   });
 
-  socket.on('progress-update', ({ updates }) => {
+  // My starting input state for the room's game mode (e.g. a sequence seed)
+  socket.on('mode-state', ({ modeState }) => {
+    state.modeState = modeState;
+    renderModeState();
+  });
+
+  // [seq, keyframe, drivers, teams, at]: only what changed since the last
+  // update, as flat [id, progress, …] pairs — anything not listed stays where
+  // it is. Cars move from the buffered updates on the next animation frames.
+  socket.on('progress-update', ([seq, , drivers, teams, at]) => {
     if (state.phase !== 'racing' && state.phase !== 'countdown') return;
-    updates.forEach(({ socketId, progress }) => {
-      if (socketId === state.mySocketId) {
-        // Reconcile: never go backward
-        const display = Math.max(progress, state.clickCount);
-        updateCarPosition(socketId, Math.min(100, display));
-      } else {
-        updateCarPosition(socketId, progress);
-        if (state.players[socketId]) state.players[socketId].progress = progress;
-      }
-    });
+    if (seq <= state.progressSeq) return;
+    state.progressSeq = seq;
+    if (teams) {
+      for (let i = 0; i < teams.length; i += 2) updateTeamProgress(teams[i], teams[i + 1]);
+    }
+    const moved = {};
+    for (let i = 0; i < drivers.length; i += 2) {
+      const socketId = drivers[i];
+      const progress = drivers[i + 1];
+      moved[socketId] = progress;
+      if (state.players[socketId]) state.players[socketId].progress = progress;
+    }
+    addSnapshot(at, moved);
+    queueTowerSort();
+  });
+
+  socket.on('false-start', ({ socketId, penaltyMs }) => {
+    markFalseStart(socketId);
+    if (socketId === state.mySocketId) showMyPenalty(penaltyMs);
   });
 
   socket.on('player-finished', ({ socketId, rank, time }) => {
-    if (state.players[socketId]) state.players[socketId].rank = rank;
+    markPlayerFinished(socketId, rank, time);
+    if (socketId === state.mySocketId && rank != null) playFinishFanfare();
+    else playFinishChime();
+  });
 
-    const track = document.getElementById('track-' + socketId);
-    if (track) {
-      const badge = document.createElement('div');
-      badge.className = 'finish-badge rank-' + rank;
-      badge.textContent = medalText(rank);
-      track.appendChild(badge);
+  socket.on('lap-completed', ({ socketId, lap, lapTime }) => {
+    const player = state.players[socketId];
+    if (!player) return;
+    player.lapTimes = [...(player.lapTimes || []).slice(0, lap - 1), lapTime];
+    showLapTime(socketId);
+  });
+
+  socket.on('team-finished', ({ team, rank }) => {
+    markTeamFinished(team, rank);
+  });
+
+  // Relay: the next driver on a team takes over
+  socket.on('relay-handoff', ({ team, to, legTarget }) => {
+    if (!state.teams || !state.teams[team]) return;
+    state.teams[team].runnerId = to;
+    updateRelayLanes();
+    if (to !== state.mySocketId) return;
+    state.myLegTarget = legTarget;
+    state.lastClickSent = 0;
+    updateBatonState();
+    renderModeState();
+  });
+
+  socket.on('click-rejected', ({ reason, modeState }) => {
+    state.modeState = modeState;
+    if (currentMode().optimistic) {
+      // Our optimistic click didn't count — roll it back and resync the expected key
+      addMyClicks(-state.lastPredicted);
+      renderModeState();
+    } else {
+      showJudgement(reason, 0);
     }
+  });
 
-    const lane = document.getElementById('lane-' + socketId);
-    if (lane) lane.classList.add('finished');
+  socket.on('click-judged', ({ judgement, clicks }) => {
+    if (!currentMode().optimistic) addMyClicks(clicks);
+    showJudgement(judgement, clicks);
+  });
 
-    // Disable A/B buttons when I finish, but keep watching others race
+  socket.on('item-picked', ({ socketId, milestone, item }) => {
+    openItemBox(socketId, milestone);
+    if (!item) return;
+    setLaneItem(socketId, item);
     if (socketId === state.mySocketId) {
-      state.myFinished = true;
-      // Freeze timer at server-confirmed finish time
-      clearInterval(state.raceTimer);
-      const timerEl = document.getElementById('race-timer');
-      if (timerEl) timerEl.textContent = formatTime(time);
-      document.getElementById('btn-a').disabled = true;
-      document.getElementById('btn-b').disabled = true;
-      // Remove active glow — race is over for me
-      document.getElementById('btn-a').classList.remove('btn-ab--active');
-      document.getElementById('btn-b').classList.remove('btn-ab--active');
+      state.myItem = item;
+      renderItemSlot();
+    }
+  });
+
+  socket.on('item-used', ({ socketId, item, durationMs, targetId, blocked }) => {
+    setLaneItem(socketId, null);
+    if (socketId === state.mySocketId) {
+      state.myItem = null;
+      renderItemSlot();
+    }
+    if (item !== 'oil') {
+      setCarEffect(socketId, item, true);
+      return;
+    }
+    // Oil from the leader has nobody ahead to catch
+    if (!targetId) return;
+    dropOilSlick(targetId, durationMs);
+    if (blocked) flashShieldBlock(targetId);
+    else setCarEffect(targetId, 'oil', true);
+  });
+
+  socket.on('item-effect-ended', ({ socketId, effect }) => {
+    setCarEffect(socketId, effect, false);
+  });
+
+  socket.on('player-flagged', ({ socketId, disqualified }) => {
+    const player = state.players[socketId];
+    if (player && disqualified) markPlayerDisqualified(socketId);
+    else if (player) {
+      const lane = document.getElementById('lane-' + socketId);
+      if (lane) lane.classList.add('flagged');
     }
   });
 
   socket.on('first-finisher-countdown', ({ duration }) => {
-    const endsAt = Date.now() + duration;
-    const banner = document.getElementById('last-chance-banner');
-    const secEl  = document.getElementById('last-chance-seconds');
-    if (!banner || !secEl) return;
+    showLastChanceBanner(duration);
+  });
 
-    banner.classList.remove('hidden');
-    banner.classList.add('urgent');
-
-    clearInterval(state.lastChanceTimer);
-    state.lastChanceTimer = setInterval(() => {
-      const remaining = Math.ceil((endsAt - Date.now()) / 1000);
-      if (remaining <= 0) {
-        secEl.textContent = '0';
-        clearInterval(state.lastChanceTimer);
-        return;
-      }
-      secEl.textContent = remaining;
-      if (remaining <= 5) {
-        banner.classList.add('urgent');
-      }
-    }, 250);
-  });
-
-  socket.on('race-finished', ({ results }) => {
+  socket.on('race-finished', ({ results, replayId, championship, teams }) => {
     state.phase = 'finished';
+    state.championship = championship;
+    state.teamResults = teams;
     clearInterval(state.countdownTimer);
+    clearTimeout(state.goTimer);
     clearInterval(state.raceTimer);
     hideLastChanceBanner();
+    stopModeTimers();
+    stopEngine();
 
     setTimeout(() => {
-      buildResults(results);
+      stopMotion();
+      buildResults(results, replayId);
       showScreen('screen-results');
     }, 2200);
   });
 
   // ── Reset (play again) ─────────────────────────────────────────────────────
-  socket.on('room-reset', ({ players, hostId }) => {
+  socket.on('room-reset', ({ players, spectators, hostId, championship }) => {
+    closeReplay();
+    state.championship = championship;
+    state.teams = null;
+    state.teamResults = null;
+    state.myLegTarget = null;
     state.phase = 'lobby';
     state.clickCount = 0;
+    stopMotion();
+    stopEngine();
     clearInterval(state.raceTimer);
     state.raceTimer = null;
     hideLastChanceBanner();
@@ -706,15 +2938,13 @@ function bindSocket() {
     players.forEach(p => { state.players[p.socketId] = p; });
     state.isHost = socket.id === hostId;
     state.roomHostId = hostId;
+    state.isSpectator = !players.some(p => p.socketId === socket.id);
 
-    const btnA = document.getElementById('btn-a');
-    const btnB = document.getElementById('btn-b');
-    if (btnA) { btnA.disabled = false; btnA.classList.remove('btn-ab--active', 'btn-ab--pressed', 'btn-ab--wrong'); }
-    if (btnB) { btnB.disabled = false; btnB.classList.remove('btn-ab--active', 'btn-ab--pressed', 'btn-ab--wrong'); }
-    state.nextKey = 'a';
+    stopModeTimers();
+    state.modeState = null;
     state.myFinished = false;
 
-    enterLobby(state.roomCode, players, hostId);
+    enterLobby(state.roomCode, players, hostId, spectators);
   });
 }
 
@@ -731,9 +2961,15 @@ function init() {
   state.roomHostId = null;
 
   bindLanding();
+  bindLeaderboard();
+  bindPublicRooms();
   bindLobby();
+  bindSettings();
+  bindChat();
   bindRace();
   bindResults();
+  bindReplay();
+  bindSound();
   bindSocket();
 }
 
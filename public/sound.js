@@ -0,0 +1,328 @@
+'use strict';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SOUND
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every sound is synthesised with the Web Audio API, so there are no audio
+// files to fetch. Browsers only let audio start after a user gesture: the
+// context is created on the first press, and until then sounds are skipped.
+// Everything plays through one master gain, which the volume and mute
+// controls set; both are remembered in localStorage.
+
+const SOUND_KEY = 'mercedesRaceSound';
+const DEFAULT_VOLUME = 0.6;
+
+const ENGINE_IDLE_HZ = 48;
+const ENGINE_HZ_PER_CLICK = 8;      // per click per second
+const ENGINE_MAX_HZ = 190;
+const ENGINE_RATE_WINDOW_MS = 1000; // click rate is averaged over this long
+const ENGINE_UPDATE_MS = 100;
+
+const soundState = {
+  ctx:        null,    // AudioContext, once a gesture has unlocked audio
+  master:     null,    // gain node every sound goes through
+  noise:      null,    // two seconds of white noise, shared by tyres and crowd
+  volume:     DEFAULT_VOLUME,
+  muted:      false,
+  countdown:  [],      // scheduled countdown beeps, so a left race can cancel them
+  engine:     null,    // { gain, filter, oscs, clicks, timer } while my engine runs
+  crowd:      null,    // { source, gain, timer } while the podium crowd cheers
+};
+
+// ─── Settings ─────────────────────────────────────────────────────────────────
+function loadSoundSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SOUND_KEY));
+    if (saved && typeof saved.volume === 'number') soundState.volume = Math.min(1, Math.max(0, saved.volume));
+    if (saved) soundState.muted = !!saved.muted;
+  } catch (err) {
+    // Unreadable or blocked storage: keep the defaults
+  }
+}
+
+function saveSoundSettings() {
+  try {
+    localStorage.setItem(SOUND_KEY, JSON.stringify({ volume: soundState.volume, muted: soundState.muted }));
+  } catch (err) {
+    // Private browsing may refuse storage; the setting lasts for this visit
+  }
+}
+
+function applyMasterGain() {
+  const { ctx, master } = soundState;
+  if (!master) return;
+  // Squared so the slider feels even to the ear
+  const level = soundState.muted ? 0 : soundState.volume * soundState.volume;
+  master.gain.setTargetAtTime(level, ctx.currentTime, 0.02);
+}
+
+function setSoundVolume(volume) {
+  soundState.volume = volume;
+  if (volume > 0) soundState.muted = false;
+  applyMasterGain();
+  saveSoundSettings();
+  renderSoundControl();
+}
+
+// A slider left at zero counts as muted, and unmuting it brings the sound back
+function toggleSoundMuted() {
+  soundState.muted = !(soundState.muted || soundState.volume === 0);
+  if (!soundState.muted && soundState.volume === 0) soundState.volume = DEFAULT_VOLUME;
+  applyMasterGain();
+  saveSoundSettings();
+  renderSoundControl();
+}
+
+function renderSoundControl() {
+  const silent = soundState.muted || soundState.volume === 0;
+  const btn = document.getElementById('btn-sound-mute');
+  btn.classList.toggle('muted', silent);
+  btn.setAttribute('aria-pressed', String(silent));
+  btn.title = silent ? 'Unmute' : 'Mute';
+  document.getElementById('sound-volume').value = Math.round(soundState.volume * 100);
+}
+
+function bindSound() {
+  loadSoundSettings();
+  renderSoundControl();
+
+  document.getElementById('btn-sound-mute').addEventListener('click', toggleSoundMuted);
+  document.getElementById('sound-volume').addEventListener('input', e => {
+    setSoundVolume(parseInt(e.target.value, 10) / 100);
+  });
+
+  // Any press unlocks audio; capture so it runs before handlers that stop it
+  ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, unlockAudio, true));
+}
+
+// ─── Audio context ────────────────────────────────────────────────────────────
+function unlockAudio() {
+  if (!soundState.ctx) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    const ctx = new AudioContext();
+    soundState.ctx = ctx;
+    soundState.master = ctx.createGain();
+    soundState.master.gain.value = 0;
+    soundState.master.connect(ctx.destination);
+    soundState.noise = createNoiseBuffer(ctx);
+    applyMasterGain();
+  }
+  if (soundState.ctx.state === 'suspended') soundState.ctx.resume();
+}
+
+function audioReady() {
+  return !!soundState.ctx && soundState.ctx.state === 'running';
+}
+
+function createNoiseBuffer(ctx) {
+  const buffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+  return buffer;
+}
+
+// Audio-clock time of a Date.now()-style local timestamp
+function audioTimeOf(localTime) {
+  return soundState.ctx.currentTime + (localTime - Date.now()) / 1000;
+}
+
+// A single enveloped oscillator note: quick attack, exponential release
+function playTone(freq, at, duration, { type = 'square', level = 0.2, glideTo = null } = {}) {
+  const { ctx, master } = soundState;
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, at);
+  if (glideTo) osc.frequency.exponentialRampToValueAtTime(glideTo, at + duration);
+  gain.gain.setValueAtTime(0.0001, at);
+  gain.gain.exponentialRampToValueAtTime(level, at + 0.01);
+  gain.gain.setValueAtTime(level, at + duration * 0.6);
+  gain.gain.exponentialRampToValueAtTime(0.0001, at + duration);
+  osc.connect(gain).connect(master);
+  osc.start(at);
+  osc.stop(at + duration + 0.05);
+  return osc;
+}
+
+function playNoise(at, duration, filter) {
+  const { ctx, master } = soundState;
+  const source = ctx.createBufferSource();
+  source.buffer = soundState.noise;
+  source.loop = true;
+  const gain = ctx.createGain();
+  source.connect(filter).connect(gain).connect(master);
+  source.start(at);
+  source.stop(at + duration + 0.05);
+  return gain;
+}
+
+// ─── Countdown ────────────────────────────────────────────────────────────────
+// Beeps are scheduled on the audio clock against the server's GO, so they land
+// exactly as the number changes however late the countdown's timers run: a low
+// beep for each number the countdown shows, a high one for GO.
+function scheduleCountdownBeeps(startTime) {
+  cancelCountdownBeeps();
+  if (!audioReady()) return;
+  const now = Date.now();
+  for (let n = Math.ceil((startTime - now) / 1000); n >= 1; n--) {
+    const at = Math.max(now, startTime - n * 1000);
+    soundState.countdown.push(playTone(440, audioTimeOf(at), 0.16, { level: 0.18 }));
+  }
+  if (startTime >= now) soundState.countdown.push(playTone(880, audioTimeOf(startTime), 0.55, { level: 0.22 }));
+}
+
+function cancelCountdownBeeps() {
+  soundState.countdown.forEach(osc => {
+    try { osc.stop(); } catch (err) { /* already finished */ }
+  });
+  soundState.countdown = [];
+}
+
+// ─── Engine ───────────────────────────────────────────────────────────────────
+// Two detuned sawtooths and a sub-octave square through a low-pass filter. The
+// note idles low and climbs with my clicks per second, opening the filter as it
+// revs; between clicks it settles back towards idle.
+function startEngine() {
+  stopEngine();
+  if (!audioReady()) return;
+  const { ctx, master } = soundState;
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, ctx.currentTime);
+  gain.gain.exponentialRampToValueAtTime(0.09, ctx.currentTime + 0.3);
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'lowpass';
+  filter.Q.value = 4;
+  filter.connect(gain).connect(master);
+
+  const oscs = [
+    { type: 'sawtooth', ratio: 1, detune: -7 },
+    { type: 'sawtooth', ratio: 1, detune: 7 },
+    { type: 'square',   ratio: 0.5, detune: 0 },
+  ].map(({ type, ratio, detune }) => {
+    const osc = ctx.createOscillator();
+    osc.type = type;
+    osc.detune.value = detune;
+    osc.connect(filter);
+    osc.start();
+    return { osc, ratio };
+  });
+
+  soundState.engine = { gain, filter, oscs, clicks: [], timer: setInterval(updateEngine, ENGINE_UPDATE_MS) };
+  updateEngine();
+}
+
+function updateEngine() {
+  const engine = soundState.engine;
+  if (!engine) return;
+  const now = Date.now();
+  while (engine.clicks.length && engine.clicks[0] < now - ENGINE_RATE_WINDOW_MS) engine.clicks.shift();
+  const rate = engine.clicks.length / (ENGINE_RATE_WINDOW_MS / 1000);
+  const freq = Math.min(ENGINE_MAX_HZ, ENGINE_IDLE_HZ + rate * ENGINE_HZ_PER_CLICK);
+  const at = soundState.ctx.currentTime;
+  engine.oscs.forEach(({ osc, ratio }) => osc.frequency.setTargetAtTime(freq * ratio, at, 0.12));
+  engine.filter.frequency.setTargetAtTime(freq * 6, at, 0.12);
+}
+
+function engineClicks(clicks) {
+  const engine = soundState.engine;
+  if (!engine || clicks <= 0) return;
+  const now = Date.now();
+  for (let i = 0; i < clicks; i++) engine.clicks.push(now);
+  updateEngine();
+}
+
+function stopEngine() {
+  const engine = soundState.engine;
+  if (!engine) return;
+  soundState.engine = null;
+  clearInterval(engine.timer);
+  const at = soundState.ctx.currentTime;
+  engine.gain.gain.setTargetAtTime(0.0001, at, 0.15);
+  engine.oscs.forEach(({ osc }) => osc.stop(at + 0.8));
+}
+
+// ─── Effects ──────────────────────────────────────────────────────────────────
+// Wrong key: a short tyre squeal, narrow-band noise sliding down in pitch
+function playWrongKey() {
+  if (!audioReady()) return;
+  const { ctx } = soundState;
+  const at = ctx.currentTime;
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.Q.value = 18;
+  filter.frequency.setValueAtTime(2600, at);
+  filter.frequency.exponentialRampToValueAtTime(1400, at + 0.28);
+  const gain = playNoise(at, 0.3, filter);
+  gain.gain.setValueAtTime(0.0001, at);
+  gain.gain.exponentialRampToValueAtTime(0.5, at + 0.02);
+  gain.gain.exponentialRampToValueAtTime(0.0001, at + 0.3);
+  playTone(110, at, 0.14, { type: 'sawtooth', level: 0.06, glideTo: 80 });
+}
+
+// My car home: a rising major arpeggio, held on the top note. A finished relay
+// leg or someone else crossing the line only gets a short chime.
+function playFinishFanfare() {
+  if (!audioReady()) return;
+  const at = soundState.ctx.currentTime;
+  [523.25, 659.25, 783.99].forEach((freq, i) => {
+    playTone(freq, at + i * 0.12, 0.2, { type: 'triangle', level: 0.22 });
+    playTone(freq, at + i * 0.12, 0.2, { type: 'square', level: 0.05 });
+  });
+  playTone(1046.5, at + 0.36, 0.9, { type: 'triangle', level: 0.25 });
+  playTone(1046.5, at + 0.36, 0.9, { type: 'square', level: 0.06 });
+}
+
+function playFinishChime() {
+  if (!audioReady()) return;
+  const at = soundState.ctx.currentTime;
+  playTone(987.77, at, 0.18, { type: 'triangle', level: 0.12 });
+  playTone(1318.5, at + 0.09, 0.3, { type: 'triangle', level: 0.12 });
+}
+
+// ─── Crowd ────────────────────────────────────────────────────────────────────
+// Band-passed noise for the murmur of the stands, swelling into a cheer as the
+// podium appears and then rising and falling at random while it stays up
+function startCrowd() {
+  if (soundState.crowd || !audioReady()) return;
+  const { ctx, master } = soundState;
+  const at = ctx.currentTime;
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0.0001, at);
+  gain.gain.exponentialRampToValueAtTime(0.32, at + 0.6);
+  gain.gain.setTargetAtTime(0.12, at + 2.5, 1.2);
+  gain.connect(master);
+
+  const source = ctx.createBufferSource();
+  source.buffer = soundState.noise;
+  source.loop = true;
+  const band = ctx.createBiquadFilter();
+  band.type = 'bandpass';
+  band.frequency.value = 1100;
+  band.Q.value = 0.7;
+  const low = ctx.createBiquadFilter();
+  low.type = 'lowpass';
+  low.frequency.value = 2400;
+  source.connect(band).connect(low).connect(gain);
+  source.start(at);
+
+  const timer = setInterval(() => {
+    const now = ctx.currentTime;
+    if (now < at + 4) return;   // let the opening cheer settle first
+    gain.gain.setTargetAtTime(0.08 + Math.random() * 0.1, now, 0.8);
+    band.frequency.setTargetAtTime(900 + Math.random() * 500, now, 0.8);
+  }, 1800);
+
+  soundState.crowd = { source, gain, timer };
+}
+
+function stopCrowd() {
+  const crowd = soundState.crowd;
+  if (!crowd) return;
+  soundState.crowd = null;
+  clearInterval(crowd.timer);
+  const at = soundState.ctx.currentTime;
+  crowd.gain.gain.cancelScheduledValues(at);
+  crowd.gain.gain.setTargetAtTime(0.0001, at, 0.3);
+  crowd.source.stop(at + 1.5);
+}
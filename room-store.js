@@ -0,0 +1,200 @@
+'use strict';
+
+// ─── Room store ──────────────────────────────────────────────────────────────
+// A room's live state stays in memory on the one instance that owns it; that
+// instance runs the room's race timers and handles all of its socket events.
+// The store is what instances share: which instance owns each room code, the
+// listings of public rooms, and the replays of finished races so any instance
+// can serve them.
+//
+// Both implementations provide the same async interface:
+//   claimRoom(code, owner)     → true if the code was free and is now owned
+//   ownerOf(code)              → owning instance id, or null
+//   renewRooms(owner, codes)   keeps the owner's claims from lapsing
+//   releaseRoom(code, owner)   drops the claim if `owner` still holds it
+//   publishRoom(code, owner, listing)
+//                              lists (or updates) a public room
+//   unpublishRoom(code, owner) takes it off the list
+//   listPublicRooms()          → every listing whose room is still claimed
+//   saveReplay(replay)
+//   getReplay(id)              → replay, or null once it has been evicted
+//
+// Claims expire after claimTtlMs unless renewed, so the rooms of an instance
+// that died stop routing to it. A listing only counts while its owner holds
+// the room's claim, so it lapses with the claim.
+
+const DEFAULT_CLAIM_TTL_MS = 30 * 1000;
+const DEFAULT_MAX_REPLAYS = 50;
+
+// Single process: everything lives in local Maps. `now` reads the server's
+// clock so claims expire on the same time as everything else.
+function createMemoryRoomStore({
+  claimTtlMs = DEFAULT_CLAIM_TTL_MS,
+  maxReplays = DEFAULT_MAX_REPLAYS,
+  now = Date.now,
+} = {}) {
+  const claims = new Map();    // code → { owner, expiresAt }
+  const listings = new Map();  // code → { owner, listing }
+  const replays = new Map();   // replayId → replay
+
+  function liveClaim(code) {
+    const claim = claims.get(code);
+    if (claim && claim.expiresAt <= now()) {
+      claims.delete(code);
+      return null;
+    }
+    return claim || null;
+  }
+
+  async function claimRoom(code, owner) {
+    if (liveClaim(code)) return false;
+    claims.set(code, { owner, expiresAt: now() + claimTtlMs });
+    return true;
+  }
+
+  async function ownerOf(code) {
+    const claim = liveClaim(code);
+    return claim ? claim.owner : null;
+  }
+
+  async function renewRooms(owner, codes) {
+    for (const code of codes) {
+      const claim = liveClaim(code);
+      if (claim && claim.owner === owner) claim.expiresAt = now() + claimTtlMs;
+    }
+  }
+
+  async function releaseRoom(code, owner) {
+    const claim = liveClaim(code);
+    if (claim && claim.owner === owner) claims.delete(code);
+  }
+
+  async function publishRoom(code, owner, listing) {
+    listings.set(code, { owner, listing });
+  }
+
+  async function unpublishRoom(code, owner) {
+    const entry = listings.get(code);
+    if (entry && entry.owner === owner) listings.delete(code);
+  }
+
+  async function listPublicRooms() {
+    const live = [];
+    for (const [code, { owner, listing }] of listings) {
+      const claim = liveClaim(code);
+      if (claim && claim.owner === owner) live.push(listing);
+      else listings.delete(code);
+    }
+    return live;
+  }
+
+  async function saveReplay(replay) {
+    replays.set(replay.id, replay);
+    // Map iteration order is insertion order, so the first key is the oldest
+    while (replays.size > maxReplays) replays.delete(replays.keys().next().value);
+  }
+
+  async function getReplay(id) {
+    return replays.get(id) || null;
+  }
+
+  return {
+    claimRoom, ownerOf, renewRooms, releaseRoom,
+    publishRoom, unpublishRoom, listPublicRooms,
+    saveReplay, getReplay,
+  };
+}
+
+// Shared between instances through a Redis-compatible server. `redis` is an
+// ioredis client (or anything with the same commands).
+function createRedisRoomStore(redis, {
+  prefix = 'mercedes-race:',
+  claimTtlMs = DEFAULT_CLAIM_TTL_MS,
+  maxReplays = DEFAULT_MAX_REPLAYS,
+} = {}) {
+  const roomKey = code => `${prefix}room:${code}`;
+  const replayKey = id => `${prefix}replay:${id}`;
+  const replayIndex = `${prefix}replays`;   // replay ids, newest first
+  const listingIndex = `${prefix}public-rooms`;   // hash: code → { owner, listing }
+
+  // Renew or delete a claim only while it still belongs to the caller
+  redis.defineCommand('renewClaim', {
+    numberOfKeys: 1,
+    lua: "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('pexpire', KEYS[1], ARGV[2]) end return 0",
+  });
+  redis.defineCommand('releaseClaim', {
+    numberOfKeys: 1,
+    lua: "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0",
+  });
+
+  async function claimRoom(code, owner) {
+    return (await redis.set(roomKey(code), owner, 'PX', claimTtlMs, 'NX')) === 'OK';
+  }
+
+  async function ownerOf(code) {
+    return redis.get(roomKey(code));
+  }
+
+  async function renewRooms(owner, codes) {
+    if (!codes.length) return;
+    const pipeline = redis.pipeline();
+    for (const code of codes) pipeline.renewClaim(roomKey(code), owner, claimTtlMs);
+    await pipeline.exec();
+  }
+
+  async function releaseRoom(code, owner) {
+    await redis.releaseClaim(roomKey(code), owner);
+  }
+
+  async function publishRoom(code, owner, listing) {
+    await redis.hset(listingIndex, code, JSON.stringify({ owner, listing }));
+  }
+
+  async function unpublishRoom(code, owner) {
+    const raw = await redis.hget(listingIndex, code);
+    if (raw && JSON.parse(raw).owner === owner) await redis.hdel(listingIndex, code);
+  }
+
+  // Listings whose claim lapsed or changed hands are stale: skip and tidy them
+  async function listPublicRooms() {
+    const entries = Object.entries(await redis.hgetall(listingIndex));
+    if (!entries.length) return [];
+    const owners = await redis.mget(...entries.map(([code]) => roomKey(code)));
+    const live = [];
+    const stale = [];
+    entries.forEach(([code, raw], i) => {
+      const { owner, listing } = JSON.parse(raw);
+      if (owners[i] === owner) live.push(listing);
+      else stale.push(code);
+    });
+    if (stale.length) await redis.hdel(listingIndex, ...stale);
+    return live;
+  }
+
+  async function saveReplay(replay) {
+    await redis.multi()
+      .set(replayKey(replay.id), JSON.stringify(replay))
+      .lpush(replayIndex, replay.id)
+      .exec();
+    const evicted = await redis.lrange(replayIndex, maxReplays, -1);
+    if (evicted.length) {
+      await redis.multi()
+        .del(...evicted.map(replayKey))
+        .ltrim(replayIndex, 0, maxReplays - 1)
+        .exec();
+    }
+  }
+
+  async function getReplay(id) {
+    const raw = await redis.get(replayKey(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  return {
+    claimRoom, ownerOf, renewRooms, releaseRoom,
+    publishRoom, unpublishRoom, listPublicRooms,
+    saveReplay, getReplay,
+  };
+}
+
+module.exports = { createMemoryRoomStore, createRedisRoomStore };
@@ -2,384 +2,2435 @@
 
 const express = require('express');
 const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const path = require('path');
 const { customAlphabet } = require('nanoid');
+const Redis = require('ioredis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createLeaderboard, dayKey } = require('./leaderboard');
+const { GAME_MODES, DEFAULT_MODE } = require('./game-modes');
+const { CAR_PROFILES, DEFAULT_CAR, createCarState, coast, throttle, publicProfile } = require('./car-physics');
+const { createMemoryRoomStore, createRedisRoomStore } = require('./room-store');
+const { systemClock } = require('./clock');
 
 const nanoid = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 6);
+const createSessionToken = customAlphabet('0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ', 24);
 
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, {
-  cors: { origin: '*', methods: ['GET', 'POST'] },
-  pingTimeout: 10000,
-  pingInterval: 5000,
-});
+// ─── Config ──────────────────────────────────────────────────────────────────
+// Everything an instance takes from the environment. createGameServer accepts
+// overrides, so several isolated instances can run in one process.
 
-// ─── In-memory room store ────────────────────────────────────────────────────
+function configFromEnv(env = process.env) {
+  return {
+    port:              env.PORT || 3000,
+    instanceId:        env.INSTANCE_ID || createSessionToken().slice(0, 10),
+    redisUrl:          env.REDIS_URL || null,
+    leaderboardFile:   env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.ndjson'),
+    roomsSnapshotFile: env.ROOMS_SNAPSHOT_FILE || path.join(__dirname, 'data', 'rooms-snapshot.json'),
+    adminToken:        env.ADMIN_TOKEN || null,   // null: the admin API is off
+  };
+}
 
-const rooms = new Map();
+// ─── Game server ─────────────────────────────────────────────────────────────
+// One self-contained instance: its own express app, socket.io server, rooms
+// and timers, none of it started until start(). All game timing reads
+// `clock` (see clock.js), so a manual clock steps races deterministically.
 
-const COLOR_PALETTE = [
-  '#C0C0C0', '#CC0000', '#1E3A8A', '#B8860B', '#F5F5F5',
-  '#4A4A4A', '#006B4F', '#FF6B35', '#7B2D8B', '#00A8CC',
-  '#8B4513', '#FF1493', '#888888', '#FFD700', '#00CED1', '#DC143C',
-];
+function createGameServer({ clock = systemClock, config: overrides = {} } = {}) {
+  const config = { ...configFromEnv(), ...overrides };
 
-// ─── Helpers ─────────────────────────────────────────────────────────────────
+  const app = express();
+  const server = http.createServer(app);
+  const io = new Server(server, {
+    cors: { origin: '*', methods: ['GET', 'POST'] },
+    pingTimeout: 10000,
+    pingInterval: 5000,
+  });
 
-function generateRoomCode() {
-  let code;
-  do {
-    code = nanoid();
-  } while (rooms.has(code));
-  return code;
-}
+  // ─── Shared room store ─────────────────────────────────────────────────────
+  // Without REDIS_URL this is a single self-contained process. With it, any
+  // number of instances share room ownership and replays through Redis, and the
+  // socket.io adapter carries room broadcasts and forwarded events between them.
 
-function sanitize(str) {
-  if (typeof str !== 'string') return '';
-  return str.trim().slice(0, 20).replace(/[<>&"']/g, '');
-}
+  const INSTANCE_ID = config.instanceId;
+  const ROOM_CLAIM_RENEW_MS = 10 * 1000;   // well inside the store's claim TTL
 
-function getNextColor(room) {
-  const usedColors = new Set([...room.players.values()].map(p => p.carColor));
-  return COLOR_PALETTE.find(c => !usedColors.has(c)) || COLOR_PALETTE[room.players.size % COLOR_PALETTE.length];
-}
+  let store;
+  const redisClients = [];
+  if (config.redisUrl) {
+    const redis = new Redis(config.redisUrl);
+    const subscriber = redis.duplicate();
+    redisClients.push(redis, subscriber);
+    for (const client of redisClients) client.on('error', err => console.error('Redis error:', err.message));
+    store = createRedisRoomStore(redis);
+    io.adapter(createAdapter(redis, subscriber));
+  } else {
+    store = createMemoryRoomStore({ now: clock.now });
+  }
 
-function serializePlayer(p) {
-  return {
-    socketId: p.socketId,
-    name: p.name,
-    carModel: p.carModel,
-    carColor: p.carColor,
-    progress: p.progress,
-    rank: p.rank,
-    dnf: p.dnf || false,
-    disconnected: p.disconnected || false,
+  // ─── Persistent leaderboard ────────────────────────────────────────────────
+
+  const leaderboard = createLeaderboard(config.leaderboardFile, { now: clock.now });
+
+  // ─── Replays ───────────────────────────────────────────────────────────────
+  // Every accepted click is timestamped during the race; when the race ends the
+  // timelines are frozen into a replay kept in the room store for the most
+  // recent races.
+
+  const createReplayId = customAlphabet('0123456789abcdefghijklmnopqrstuvwxyz', 12);
+
+  function storeReplay(room) {
+    const id = createReplayId();
+    const { goAt } = room;
+    const replay = {
+      id,
+      roomCode: room.code,
+      recordedAt: clock.now(),
+      distance: room.settings.clicksToFinish,
+      mode: room.settings.mode,
+      players: room.results.map(r => {
+        const player = room.players.get(r.socketId);
+        return {
+          socketId: r.socketId,
+          name: r.name,
+          carModel: r.carModel,
+          carColor: r.carColor,
+          isBot: r.isBot,
+          rank: r.rank,
+          dnf: r.dnf,
+          disqualified: r.disqualified,
+          // Relay: the distance of this driver's leg, which is what they drove to
+          legTarget: player ? player.legTarget : null,
+          // Milliseconds after GO; clicks are in acceptance order so already sorted
+          clicks: player ? player.clickTimeline.map(t => t - goAt) : [],
+          // When the car passed each whole unit of distance, which is what the
+          // viewer draws now that a click no longer moves the car by itself
+          splits: player ? player.car.splits.map(t => t - goAt) : [],
+        };
+      }),
+    };
+    store.saveReplay(replay).catch(err => console.error('Failed to save replay:', err.message));
+    return id;
+  }
+
+  // ─── Rooms ─────────────────────────────────────────────────────────────────
+
+  const rooms = new Map();   // rooms this instance owns, by code
+
+  const COLOR_PALETTE = [
+    '#C0C0C0', '#CC0000', '#1E3A8A', '#B8860B', '#F5F5F5',
+    '#4A4A4A', '#006B4F', '#FF6B35', '#7B2D8B', '#00A8CC',
+    '#8B4513', '#FF1493', '#888888', '#FFD700', '#00CED1', '#DC143C',
+  ];
+
+  const CAR_MODELS = Object.keys(CAR_PROFILES);
+
+  const MAX_DRIVERS = 16;             // hard cap; spectators don't count towards it
+
+  const RECONNECT_GRACE_MS = 15000;   // how long a dropped driver's or spectator's seat is held
+  const CLICK_THROTTLE_MS = 50;       // server-side throttle: max 20 CPS
+
+  // ─── Race settings ─────────────────────────────────────────────────────────
+  // Chosen by the host in the lobby, stored on the room and sent with
+  // race-started so client and server race to the same rules.
+
+  // Straight lanes, or one of the circuits public/game.js draws (CIRCUITS there)
+  const TRACKS = ['straight', 'oval', 'stuttgart', 'harbour'];
+
+  const DEFAULT_SETTINGS = {
+    clicksToFinish: 100,
+    laps:           1,              // the distance is split into this many laps
+    track:          'straight',     // key into TRACKS
+    startDelay:     3500,     // ms of countdown before GO
+    falseStartPenaltyMs: 1000,   // input before GO holds the driver this long after GO
+    lastChanceMs:   5000,     // window after the first finisher; 0 disables it
+    raceTimeoutMs:  5 * 60 * 1000,
+    maxDrivers:     MAX_DRIVERS,
+    mode:           DEFAULT_MODE,   // key into GAME_MODES
+    rounds:         1,              // 1 = single race; more makes it a championship
+    pointsScale:    [25, 18, 15, 12, 10, 8, 6, 4, 2, 1],
+    teamMode:       'off',          // 'off' | 'sum' | 'relay'
+    teamCount:      2,
+    items:          false,          // nitro, oil and shield pickups on the track
+    chat:           true,           // lobby/results chat; the host can switch it off
+    lobbyTimerMs:   0,              // start the race this long after the lobby opens; 0 = off
+    public:         false,          // listed on the landing screen and open to Quick Play
+  };
+
+  const SETTING_LIMITS = {
+    clicksToFinish: { min: 10,     max: 1000,           label: 'Distance' },
+    laps:           { min: 1,      max: 10,             label: 'Laps' },
+    startDelay:     { min: 2000,   max: 10000,          label: 'Countdown' },
+    falseStartPenaltyMs: { min: 0, max: 5000,           label: 'False-start penalty' },
+    lastChanceMs:   { min: 0,      max: 30000,          label: 'Last-chance window' },
+    raceTimeoutMs:  { min: 30000,  max: 15 * 60 * 1000, label: 'Time limit' },
+    maxDrivers:     { min: 1,      max: MAX_DRIVERS,    label: 'Max drivers' },
+    rounds:         { min: 1,      max: 20,             label: 'Rounds' },
+    teamCount:      { min: 2,      max: 4,              label: 'Teams' },
+    lobbyTimerMs:   { min: 0,      max: 5 * 60 * 1000,  label: 'Lobby timer' },
   };
-}
 
-function findRoomBySocket(socketId) {
-  for (const [, room] of rooms) {
-    if (room.players.has(socketId)) return room;
+  const MAX_POINTS = 100;
+
+  // Championship points by finishing position, highest first
+  function isValidPointsScale(value) {
+    return Array.isArray(value) && value.length >= 1 && value.length <= MAX_DRIVERS &&
+      value.every((p, i) => Number.isInteger(p) && p >= 0 && p <= MAX_POINTS && (i === 0 || p <= value[i - 1]));
   }
-  return null;
-}
 
-function buildResultsArray(room) {
-  const players = [...room.players.values()];
-  const finished = players.filter(p => p.finishedAt).sort((a, b) => a.rank - b.rank);
-  const unfinished = players.filter(p => !p.finishedAt).sort((a, b) => b.progress - a.progress);
-  let rank = finished.length;
-  unfinished.forEach(p => { p.rank = ++rank; p.dnf = true; });
-  return [...finished, ...unfinished].map(p => ({
-    ...serializePlayer(p),
-    finishTime: p.finishedAt && room.raceStartedAt ? p.finishedAt - room.raceStartedAt : null,
-  }));
-}
+  // Merges a partial update over the room's current settings.
+  // Returns { settings } or { error } with a message for the host.
+  function validateSettings(update, room) {
+    if (!update || typeof update !== 'object') return { error: 'Settings must be an object.' };
+    const settings = { ...room.settings };
+    for (const [key, value] of Object.entries(update)) {
+      if (key === 'mode') {
+        if (!Object.prototype.hasOwnProperty.call(GAME_MODES, value)) return { error: 'Unknown game mode.' };
+        settings.mode = value;
+        continue;
+      }
+      if (key === 'track') {
+        if (!TRACKS.includes(value)) return { error: 'Unknown track.' };
+        settings.track = value;
+        continue;
+      }
+      if (key === 'teamMode') {
+        if (!TEAM_MODES.includes(value)) return { error: 'Unknown team mode.' };
+        settings.teamMode = value;
+        continue;
+      }
+      if (key === 'items') {
+        if (typeof value !== 'boolean') return { error: 'Items must be switched on or off.' };
+        settings.items = value;
+        continue;
+      }
+      if (key === 'chat') {
+        if (typeof value !== 'boolean') return { error: 'Chat must be switched on or off.' };
+        settings.chat = value;
+        continue;
+      }
+      if (key === 'public') {
+        if (typeof value !== 'boolean') return { error: 'A room is either public or private.' };
+        settings.public = value;
+        continue;
+      }
+      if (key === 'pointsScale') {
+        if (!isValidPointsScale(value)) {
+          return { error: `Points must be 1 to ${MAX_DRIVERS} whole numbers from 0 to ${MAX_POINTS}, highest first.` };
+        }
+        settings.pointsScale = value.slice();
+        continue;
+      }
+      const limits = SETTING_LIMITS[key];
+      if (!limits) continue;
+      if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+        return { error: `${limits.label} must be a whole number between ${limits.min} and ${limits.max}.` };
+      }
+      settings[key] = value;
+    }
+    if (settings.maxDrivers < room.players.size) {
+      return { error: `There are already ${room.players.size} drivers in the room.` };
+    }
+    // Rounds can be cut short (1 ends the championship) but must leave one to race
+    const { round } = room.championship;
+    if (settings.rounds > 1 && settings.rounds <= round) {
+      return { error: `This championship has already run ${round} round${round === 1 ? '' : 's'}.` };
+    }
+    return { settings };
+  }
 
-function checkAllFinished(room, roomCode) {
-  const activePlayers = [...room.players.values()].filter(p => !p.disconnected);
-  const allDone = activePlayers.every(p => p.finishedAt);
-  if (allDone) endRace(room, roomCode);
-}
+  // ─── Championship ──────────────────────────────────────────────────────────
+  // With more than one round, every finished race awards points and the standings
+  // survive reset-room until the final round. Entries are keyed by session token
+  // so drivers keep their points across reconnects.
 
-function endRace(room, roomCode) {
-  if (room.phase === 'finished') return;
-  room.phase = 'finished';
-  clearInterval(room.broadcastInterval);
-  clearTimeout(room.raceTimeout);
-  clearTimeout(room.firstFinishTimeout);
-  const results = buildResultsArray(room);
-  io.to(roomCode).emit('race-finished', { results });
-}
+  function createChampionship() {
+    return { round: 0, standings: new Map() };   // sessionToken → entry
+  }
+
+  function awardChampionshipPoints(room) {
+    const { rounds, pointsScale } = room.settings;
+    if (rounds <= 1) return;
+    const championship = room.championship;
+    championship.round++;
+
+    for (const result of room.results) {
+      const player = room.players.get(result.socketId);
+      if (!player) continue;
+      let entry = championship.standings.get(player.sessionToken);
+      if (!entry) {
+        entry = { points: 0, finishes: [] };
+        championship.standings.set(player.sessionToken, entry);
+      }
+      Object.assign(entry, {
+        name: player.name,
+        carModel: player.carModel,
+        carColor: player.carColor,
+        isBot: !!player.bot,
+      });
+
+      // DNF and DQ score nothing and don't count as a finish for tie-breaks
+      const classified = !result.dnf && !result.disqualified;
+      const points = classified ? (pointsScale[result.rank - 1] || 0) : 0;
+      entry.points += points;
+      entry.finishes.push(classified ? result.rank : null);
+      result.championshipPoints = points;
+    }
+  }
+
+  function finishesAt(entry, position) {
+    return entry.finishes.filter(rank => rank === position).length;
+  }
+
+  // Points first; ties go to the better best finish, then count-back (most
+  // wins, then most second places, …)
+  function compareStandings(a, b) {
+    if (a.points !== b.points) return b.points - a.points;
+    for (let position = 1; position <= MAX_DRIVERS; position++) {
+      const diff = finishesAt(b, position) - finishesAt(a, position);
+      if (diff) return diff;
+    }
+    return a.name.localeCompare(b.name);
+  }
+
+  function serializeChampionship(room) {
+    const { rounds } = room.settings;
+    const { round, standings } = room.championship;
+    if (rounds <= 1) return null;
+    return {
+      round,
+      rounds,
+      complete: round >= rounds,
+      standings: [...standings.entries()]
+        .sort(([, a], [, b]) => compareStandings(a, b))
+        .map(([sessionToken, entry], i) => {
+          const member = findPlayerBySession(room, sessionToken);
+          const classified = entry.finishes.filter(rank => rank != null);
+          return {
+            rank: i + 1,
+            socketId: member ? member.socketId : null,
+            name: entry.name,
+            carModel: entry.carModel,
+            carColor: entry.carColor,
+            isBot: entry.isBot,
+            points: entry.points,
+            finishes: entry.finishes,
+            bestFinish: classified.length ? Math.min(...classified) : null,
+          };
+        }),
+    };
+  }
+
+  // ─── CPU drivers ───────────────────────────────────────────────────────────
+  // Bots are ordinary entries in room.players with a `bot` state object. They are
+  // stepped from the race loop and score through the same advancePlayer path.
+
+  const BOT_PROFILES = {
+    rookie: { label: 'Rookie', cps: 5,    variance: 0.30, fatigue: 0.20, mistakeRate: 0.08 },
+    club:   { label: 'Club',   cps: 7,    variance: 0.22, fatigue: 0.15, mistakeRate: 0.05 },
+    pro:    { label: 'Pro',    cps: 9,    variance: 0.15, fatigue: 0.10, mistakeRate: 0.03 },
+    legend: { label: 'Legend', cps: 11.5, variance: 0.10, fatigue: 0.05, mistakeRate: 0.01 },
+  };
+
+  const BOT_MISTAKE_STALL_MS = 300;   // a wrong key costs the bot a beat, like a human
+
+  // Roughly normal noise in [-3, 3] (sum of uniforms)
+  function noise() {
+    return (Math.random() + Math.random() + Math.random() + Math.random() - 2) * 1.5;
+  }
+
+  // Profiles are tuned for A/B mashing; other modes scale the rate by botPace
+  function nextBotInterval(player, mode) {
+    const profile = BOT_PROFILES[player.bot.difficulty];
+    const tired = 1 + profile.fatigue * (player.progress / 100);
+    const jitter = Math.max(0.4, 1 + profile.variance * noise());
+    const cps = profile.cps * GAME_MODES[mode].botPace;
+    return Math.max(CLICK_THROTTLE_MS, Math.round((1000 / cps) * tired * jitter));
+  }
+
+  // ─── Teams ─────────────────────────────────────────────────────────────────
+  // With a team mode on, every driver carries a team index. In 'sum' races a
+  // team's bar is the average of its members' progress; in 'relay' races each
+  // member covers one leg of the distance and the next member's controls unlock
+  // when the previous leg is done.
+
+  const TEAM_MODES = ['off', 'sum', 'relay'];
+
+  const TEAMS = [
+    { name: 'Red',   color: COLOR_PALETTE[1] },
+    { name: 'Blue',  color: COLOR_PALETTE[2] },
+    { name: 'Green', color: COLOR_PALETTE[6] },
+    { name: 'Gold',  color: COLOR_PALETTE[3] },
+  ];
+
+  function isTeamRace(room) {
+    return room.settings.teamMode !== 'off';
+  }
+
+  function teamMembers(room, team) {
+    return [...room.players.values()].filter(p => p.team === team);
+  }
+
+  function smallestTeam(room) {
+    const sizes = Array.from({ length: room.settings.teamCount }, (_, team) => teamMembers(room, team).length);
+    return sizes.indexOf(Math.min(...sizes));
+  }
 
-function handleDisconnect(socket) {
-  const room = findRoomBySocket(socket.id);
-  if (!room) return;
+  // Puts drivers without a valid team on the smallest one (or clears teams when
+  // the room stops racing in teams). Returns true when any assignment changed.
+  function balanceTeams(room) {
+    let changed = false;
+    for (const player of room.players.values()) {
+      if (isTeamRace(room) && player.team != null && player.team < room.settings.teamCount) continue;
+      const team = isTeamRace(room) ? smallestTeam(room) : null;
+      if (player.team !== team) {
+        player.team = team;
+        changed = true;
+      }
+    }
+    return changed;
+  }
 
-  const roomCode = room.code;
-  const player = room.players.get(socket.id);
-  if (!player) return;
+  function emitTeams(room) {
+    io.to(room.code).emit('teams-updated', {
+      assignments: [...room.players.values()].map(p => ({ socketId: p.socketId, team: p.team })),
+    });
+  }
+
+  // Race-time team state. Relay legs split the distance as evenly as possible.
+  function createTeamRace(room, goAt) {
+    if (!isTeamRace(room)) return null;
+    const { teamCount, teamMode, clicksToFinish } = room.settings;
+    return TEAMS.slice(0, teamCount).map((info, team) => {
+      const members = teamMembers(room, team);
+      if (teamMode === 'relay') {
+        members.forEach((p, i) => {
+          p.legTarget = Math.floor(clicksToFinish / members.length) + (i < clicksToFinish % members.length ? 1 : 0);
+          p.relayLocked = i > 0;
+          p.legStartedAt = i === 0 ? goAt : null;
+        });
+      }
+      return { team, name: info.name, color: info.color, members, leg: 0, finishedAt: null, rank: null };
+    });
+  }
+
+  function teamOf(room, player) {
+    return room.teams ? room.teams.find(t => t.members.includes(player)) || null : null;
+  }
+
+  function teamProgress(room, team) {
+    if (room.settings.teamMode === 'relay') {
+      const distance = team.members.reduce((sum, p) => sum + p.car.distance, 0);
+      return Math.floor((distance / room.settings.clicksToFinish) * 1000) / 10;
+    }
+    return Math.round((team.members.reduce((sum, p) => sum + p.progress, 0) / team.members.length) * 10) / 10;
+  }
+
+  // Relay: passes the baton to the next member still in the race. Whatever the
+  // outgoing driver left of their leg is added to the incoming driver's, and
+  // the outgoing driver is locked out even if they come back. Members left
+  // with nothing to drive (more drivers than distance) are passed over.
+  function handOff(room, team, now) {
+    const outgoing = team.members[team.leg];
+    let carry = outgoing.legTarget - outgoing.car.distance;
+    outgoing.car.speed = 0;
+    outgoing.relayLocked = true;
+    team.leg++;
+    while (team.leg < team.members.length) {
+      const next = team.members[team.leg];
+      if (!next.disconnected && !next.disqualified && next.legTarget + carry > 0) {
+        next.legTarget += carry;
+        next.relayLocked = false;
+        next.legStartedAt = now;
+        io.to(room.code).emit('relay-handoff', {
+          team: team.team,
+          from: outgoing.socketId,
+          to: next.socketId,
+          legTarget: next.legTarget,
+        });
+        return;
+      }
+      carry += next.legTarget;
+      team.leg++;
+    }
+    checkTeamFinished(room, team, now);
+  }
+
+  // A relay runner who drops out or is disqualified hands the baton on early
+  function releaseRelayLeg(room, player, now) {
+    if (room.settings.teamMode !== 'relay' || room.phase !== 'racing') return;
+    const team = teamOf(room, player);
+    if (team && team.members[team.leg] === player && !player.finishedAt) handOff(room, team, now);
+  }
+
+  function checkTeamFinished(room, team, now) {
+    if (team.finishedAt) return;
+    const done = room.settings.teamMode === 'relay'
+      ? team.members.reduce((sum, p) => sum + p.car.distance, 0) >= room.settings.clicksToFinish
+      : team.members.every(p => p.finishedAt);
+    if (!done) return;
+
+    team.finishedAt = now;
+    team.rank = ++room.teamsFinished;
+    io.to(room.code).emit('team-finished', { team: team.team, rank: team.rank, time: now - room.goAt });
+    if (team.rank === 1) openLastChance(room, now);
+  }
+
+  function serializeTeams(room) {
+    if (!room.teams) return null;
+    return room.teams.map(t => ({
+      team: t.team,
+      name: t.name,
+      color: t.color,
+      progress: teamProgress(room, t),
+      rank: t.rank,
+      finishTime: t.finishedAt ? t.finishedAt - room.goAt : null,
+      members: t.members.map(p => p.socketId),
+      legs: t.members.map(p => p.legTarget),
+      runnerId: room.settings.teamMode === 'relay' && t.members[t.leg] ? t.members[t.leg].socketId : null,
+    }));
+  }
+
+  // Teams home first by finishing order, the rest by how far they got
+  function buildTeamResults(room) {
+    const teams = serializeTeams(room);
+    if (!teams) return null;
+    const finished = teams.filter(t => t.rank).sort((a, b) => a.rank - b.rank);
+    const unfinished = teams.filter(t => !t.rank).sort((a, b) => b.progress - a.progress);
+    let rank = finished.length;
+    unfinished.forEach(t => { t.rank = ++rank; t.dnf = true; });
+    return [...finished, ...unfinished];
+  }
+
+  // ─── Track items ───────────────────────────────────────────────────────────
+  // With items on, each lane has an item box at every milestone. Driving through
+  // one fills the driver's item slot (a full slot wastes the box). Humans fire
+  // their item with a 'use-item' click action, bots from the race loop. Pickups,
+  // targets and effects are all decided here; clients only draw them.
+
+  const ITEM_MILESTONES = [25, 50, 75];   // percent of the driver's own distance
+
+  const ITEMS = {
+    nitro:  { weight: 45, durationMs: 2000 },   // every counted click is worth two
+    oil:    { weight: 35, durationMs: 1500 },   // the car just ahead counts every other click
+    shield: { weight: 20, durationMs: 5000 },   // oil slides off
+  };
+
+  // Which timer on the affected driver each effect runs on
+  const ITEM_EFFECTS = { nitro: 'nitroUntil', oil: 'slowedUntil', shield: 'shieldUntil' };
+
+  const BOT_ITEM_DELAY_MS = { min: 400, max: 2500 };
+  const BOT_OIL_RETRY_MS = 500;      // a bot holds its oil until someone is ahead
+
+  function createItemState() {
+    return {
+      held: null,        // item waiting to be fired
+      collected: [],     // milestones already driven through
+      nitroUntil: 0,
+      slowedUntil: 0,
+      shieldUntil: 0,
+      slip: 0,           // oil: a click carried towards the next counted one
+      useAt: 0,          // bots: when to fire the held item
+    };
+  }
+
+  function rollItem() {
+    const total = Object.values(ITEMS).reduce((sum, item) => sum + item.weight, 0);
+    let roll = Math.random() * total;
+    for (const [name, item] of Object.entries(ITEMS)) {
+      roll -= item.weight;
+      if (roll < 0) return name;
+    }
+    return 'nitro';
+  }
+
+  // What an accepted input is worth once the driver's active effects apply
+  function applyItemEffects(player, clicks, now) {
+    const items = player.items;
+    if (items.nitroUntil > now) clicks *= 2;
+    if (items.slowedUntil > now) {
+      const total = items.slip + clicks;
+      items.slip = total % 2;
+      clicks = Math.floor(total / 2);
+    }
+    return clicks;
+  }
+
+  // Opens every item box the driver passed on their way to the current progress
+  function collectItems(room, player, previousProgress, now) {
+    if (!room.settings.items) return;
+    const items = player.items;
+    for (const milestone of ITEM_MILESTONES) {
+      if (previousProgress >= milestone || player.progress < milestone) continue;
+      if (items.collected.includes(milestone)) continue;
+      items.collected.push(milestone);
+      const item = items.held ? null : rollItem();
+      if (item) {
+        items.held = item;
+        if (player.bot) {
+          items.useAt = now + BOT_ITEM_DELAY_MS.min + Math.random() * (BOT_ITEM_DELAY_MS.max - BOT_ITEM_DELAY_MS.min);
+        }
+      }
+      io.to(room.code).emit('item-picked', { socketId: player.socketId, milestone, item });
+    }
+  }
+
+  // The nearest car in front that is still racing; teammates are never a target
+  function carAhead(room, player) {
+    let target = null;
+    for (const p of room.players.values()) {
+      if (p === player || p.finishedAt || p.disqualified || p.disconnected || p.relayLocked) continue;
+      if (player.team != null && p.team === player.team) continue;
+      if (p.progress <= player.progress) continue;
+      if (!target || p.progress < target.progress) target = p;
+    }
+    return target;
+  }
+
+  function useItem(room, player, now) {
+    const items = player.items;
+    const item = items.held;
+    if (!item) return;
+    items.held = null;
+
+    const { durationMs } = ITEMS[item];
+    const used = { socketId: player.socketId, item, durationMs, targetId: null, blocked: false };
+    if (item === 'oil') {
+      // Dropped by the leader, the oil has nobody to catch and is wasted
+      const target = carAhead(room, player);
+      if (target) {
+        used.targetId = target.socketId;
+        used.blocked = target.items.shieldUntil > now;
+        if (!used.blocked) {
+          target.items.slowedUntil = now + durationMs;
+          target.items.slip = 0;
+        }
+      }
+    } else {
+      items[ITEM_EFFECTS[item]] = now + durationMs;
+    }
+    io.to(room.code).emit('item-used', used);
+  }
+
+  // Called from the race loop: fire bots' items and announce effects that ran out
+  function stepItems(room, now) {
+    if (!room.settings.items) return;
+    for (const player of room.players.values()) {
+      const items = player.items;
+      if (player.bot && items.held && items.useAt <= now && !player.finishedAt && !player.relayLocked) {
+        if (items.held === 'oil' && !carAhead(room, player)) items.useAt = now + BOT_OIL_RETRY_MS;
+        else useItem(room, player, now);
+      }
+      for (const [effect, field] of Object.entries(ITEM_EFFECTS)) {
+        if (!items[field] || items[field] > now) continue;
+        items[field] = 0;
+        io.to(room.code).emit('item-effect-ended', { socketId: player.socketId, effect });
+      }
+    }
+  }
+
+  // A driver's slot, opened boxes and running effects, for reconnecting clients
+  function serializeItems(player, now) {
+    const { held, collected } = player.items;
+    const effects = Object.keys(ITEM_EFFECTS).filter(effect => player.items[ITEM_EFFECTS[effect]] > now);
+    return { held, collected, effects };
+  }
+
+  // ─── Click integrity ───────────────────────────────────────────────────────
+  // Each accepted click's interval is fed to a per-player monitor. A window that
+  // looks scripted earns a strike; enough strikes disqualify the driver.
+
+  const INTEGRITY_WINDOW = 20;          // intervals analysed per window
+  const INTEGRITY_MIN_VARIATION = 0.05; // coefficient of variation below this is machine-steady
+  const INTEGRITY_MAX_RATE_MS = 60;     // intervals this short are at the throttle ceiling
+  const INTEGRITY_MAX_RATE_SHARE = 0.9; // share of a window at the ceiling that counts as a burst
+  const INTEGRITY_FLOOD_LIMIT = 10;     // throttled clicks in one window
+  const INTEGRITY_STRIKES_TO_DQ = 2;
+
+  const INTEGRITY_REASONS = {
+    'steady-rhythm': 'Click timing was machine-steady',
+    'max-rate':      'Sustained clicking at the maximum rate',
+    'flooding':      'Sent clicks faster than the server accepts',
+  };
+
+  function createClickMonitor() {
+    return { intervals: [], throttled: 0, strikes: 0 };
+  }
+
+  // Returns the reason for a new strike, or null when the window looks human
+  function analyseClickWindow(monitor) {
+    if (monitor.throttled >= INTEGRITY_FLOOD_LIMIT) return 'flooding';
+    const intervals = monitor.intervals;
+    if (intervals.length < INTEGRITY_WINDOW) return null;
+
+    const mean = intervals.reduce((sum, v) => sum + v, 0) / intervals.length;
+    const variance = intervals.reduce((sum, v) => sum + (v - mean) ** 2, 0) / intervals.length;
+    if (Math.sqrt(variance) / mean < INTEGRITY_MIN_VARIATION) return 'steady-rhythm';
+
+    const atCeiling = intervals.filter(v => v <= INTEGRITY_MAX_RATE_MS).length;
+    if (atCeiling / intervals.length >= INTEGRITY_MAX_RATE_SHARE) return 'max-rate';
+    return null;
+  }
+
+  // Records one click (accepted or throttled) and applies any resulting strike.
+  // Returns the new reason when the player was flagged by this click.
+  function recordClick(player, interval, { throttled = false } = {}) {
+    const monitor = player.clickMonitor;
+    if (throttled) monitor.throttled++;
+    else if (interval != null) monitor.intervals.push(interval);
+
+    const reason = analyseClickWindow(monitor);
+    if (monitor.intervals.length >= INTEGRITY_WINDOW || reason) {
+      monitor.intervals = [];
+      monitor.throttled = 0;
+    }
+    if (!reason) return null;
+
+    monitor.strikes++;
+    if (!player.flags.includes(reason)) player.flags.push(reason);
+    if (monitor.strikes >= INTEGRITY_STRIKES_TO_DQ && !player.finishedAt) player.disqualified = true;
+    return reason;
+  }
+
+  // ─── Helpers ───────────────────────────────────────────────────────────────
+
+  // Claims a code no instance is using
+  async function generateRoomCode() {
+    let code;
+    do {
+      code = nanoid();
+    } while (!(await store.claimRoom(code, INSTANCE_ID)));
+    return code;
+  }
+
+  function sanitize(str, maxLength = 20) {
+    if (typeof str !== 'string') return '';
+    return str.trim().slice(0, maxLength).replace(/[<>&"']/g, '');
+  }
+
+  // ─── Chat and reactions ────────────────────────────────────────────────────
+  // Text chat is for the lobby and results screens; while racing, drivers can
+  // only send one of a few emoji, which float over their car.
+
+  const CHAT_MAX_LENGTH = 140;
+  const CHAT_HISTORY = 30;                                 // messages a joiner catches up on
+  const CHAT_RATE = { count: 5, windowMs: 10 * 1000 };     // per member
+  const REACTION_RATE = { count: 3, windowMs: 2000 };
+  const REACTIONS = ['👍', '🔥', '😂', '😱', '👋', '🏁'];
+
+  // Matched as whole words, with every form spelled out rather than guessed
+  // from a suffix. 'dick' is left off on purpose: it is a name, too.
+  const BLOCKED_WORDS = [
+    'fuck', 'fucks', 'fucked', 'fucker', 'fuckers', 'fucking',
+    'shit', 'shits', 'shitty', 'shitting',
+    'cunt', 'cunts',
+    'bitch', 'bitches', 'bitching',
+    'bastard', 'bastards',
+    'asshole', 'assholes',
+    'prick', 'pricks',
+    'slut', 'sluts',
+    'whore', 'whores',
+    'wanker', 'wankers',
+  ];
+  const BLOCKED_PATTERN = new RegExp(`\\b(${BLOCKED_WORDS.join('|')})\\b`, 'gi');
+
+  function filterWords(text) {
+    return text.replace(BLOCKED_PATTERN, word => '*'.repeat(word.length));
+  }
+
+  // Names keep their spacing; a message has its runs of whitespace collapsed
+  // so it can't be padded out across the chat panel
+  function cleanChatText(text) {
+    if (typeof text !== 'string') return '';
+    return filterWords(sanitize(text.replace(/\s+/g, ' '), CHAT_MAX_LENGTH));
+  }
+
+  // Sliding window over a member's recent send times; records the send if allowed
+  function withinRate(times, { count, windowMs }, now) {
+    while (times.length && now - times[0] >= windowMs) times.shift();
+    if (times.length >= count) return false;
+    times.push(now);
+    return true;
+  }
+
+  function getNextColor(room) {
+    const usedColors = new Set([...room.players.values()].map(p => p.carColor));
+    return COLOR_PALETTE.find(c => !usedColors.has(c)) || COLOR_PALETTE[room.players.size % COLOR_PALETTE.length];
+  }
+
+  function createPlayer(socketId, { name, carModel }, carColor) {
+    const safeName = sanitize(name);
+    return {
+      socketId,
+      sessionToken: createSessionToken(),
+      name: safeName || 'Driver',
+      carModel: CAR_MODELS.includes(carModel) ? carModel : DEFAULT_CAR,
+      carColor,
+      progress: 0,
+      clickCount: 0,
+      lastClickTime: 0,
+      clickTimeline: [],
+      car: createCarState(),
+      lapTimes: [],         // ms per completed lap, in order
+      modeState: null,      // created by the room's game mode at race start
+      team: null,           // index into TEAMS when the room races in teams
+      legTarget: null,      // relay: distance this driver must cover on their leg
+      legStartedAt: null,   // relay: when the baton reached this driver
+      relayLocked: false,   // relay: waiting for the previous leg to finish
+      items: createItemState(),
+      recentMessages: [],   // chat send times, for rate limiting
+      recentReactions: [],
+      ready: false,         // lobby ready-up; bots never need to
+      clickMonitor: createClickMonitor(),
+      flags: [],
+      disqualified: false,
+      penaltyUntil: null,   // jumped the start: inputs only count from this time
+      finishedAt: null,
+      rank: null,
+      dnf: false,
+      disconnected: false,
+      releaseTimer: null,
+    };
+  }
+
+  function createBot(room, difficulty) {
+    const profile = BOT_PROFILES[difficulty];
+    const sameLevel = [...room.players.values()].filter(p => p.bot && p.bot.difficulty === difficulty).length;
+    const player = createPlayer(
+      'cpu-' + createSessionToken().slice(0, 10),
+      {
+        name: `CPU ${profile.label}${sameLevel ? ' ' + (sameLevel + 1) : ''}`,
+        carModel: CAR_MODELS[Math.floor(Math.random() * CAR_MODELS.length)],
+      },
+      getNextColor(room),
+    );
+    player.bot = { difficulty, nextClickAt: 0 };
+    return player;
+  }
+
+  function isHuman(player) {
+    return !player.bot;
+  }
+
+  function createSpectator(socketId, { name, carModel }, wantsToDrive) {
+    return {
+      socketId,
+      sessionToken: createSessionToken(),
+      name: sanitize(name) || 'Spectator',
+      carModel: CAR_MODELS.includes(carModel) ? carModel : DEFAULT_CAR,
+      wantsToDrive: !!wantsToDrive,
+      disconnected: false,
+      releaseTimer: null,
+      recentMessages: [],
+    };
+  }
+
+  function serializeSpectator(s) {
+    return {
+      socketId: s.socketId,
+      name: s.name,
+      wantsToDrive: s.wantsToDrive,
+      disconnected: s.disconnected || false,
+    };
+  }
+
+  function serializePlayer(p) {
+    return {
+      socketId: p.socketId,
+      name: p.name,
+      carModel: p.carModel,
+      carColor: p.carColor,
+      progress: p.progress,
+      clickCount: p.clickCount,
+      lapTimes: p.lapTimes,
+      rank: p.rank,
+      dnf: p.dnf || false,
+      disconnected: p.disconnected || false,
+      flags: p.flags,
+      disqualified: p.disqualified,
+      isBot: !!p.bot,
+      difficulty: p.bot ? p.bot.difficulty : null,
+      team: p.team,
+      relayLocked: p.relayLocked,
+      ready: p.ready,
+    };
+  }
+
+  function findRoomBySocket(socketId) {
+    for (const [, room] of rooms) {
+      if (room.players.has(socketId) || room.spectators.has(socketId)) return room;
+    }
+    return null;
+  }
+
+  // Looks a session up among drivers and spectators alike
+  function findPlayerBySession(room, sessionToken) {
+    if (typeof sessionToken !== 'string' || !sessionToken) return null;
+    for (const member of [...room.players.values(), ...room.spectators.values()]) {
+      if (member.sessionToken === sessionToken) return member;
+    }
+    return null;
+  }
+
+  // Moves a seat (driver or spectator) to a new socket id, keeping order and host role
+  function rebindPlayer(room, player, socketId) {
+    const previousSocketId = player.socketId;
+    const key = room.players.get(previousSocketId) === player ? 'players' : 'spectators';
+    room[key] = new Map([...room[key]].map(([id, p]) => (
+      id === previousSocketId ? [socketId, p] : [id, p]
+    )));
+    player.socketId = socketId;
+    if (room.hostSocketId === previousSocketId) room.hostSocketId = socketId;
+  }
+
+  // Moves a spectator into the driver list, keeping their session
+  function promoteSpectator(room, spectator) {
+    room.spectators.delete(spectator.socketId);
+    const player = createPlayer(spectator.socketId, spectator, getNextColor(room));
+    player.sessionToken = spectator.sessionToken;
+    room.players.set(player.socketId, player);
+    balanceTeams(room);
+    return player;
+  }
+
+  // Relay drivers are timed over their own leg, everyone else from GO
+  function finishTimeOf(room, p) {
+    if (!p.finishedAt || !room.goAt) return null;
+    return p.legStartedAt != null ? p.finishedAt - p.legStartedAt : p.finishedAt - room.goAt;
+  }
+
+  // Everything a reconnecting client needs to rebuild its current screen
+  function buildRoomSnapshot(room, player) {
+    const now = clock.now();
+    return {
+      phase: room.phase,
+      modeState: player.modeState ? GAME_MODES[room.settings.mode].publicState(player.modeState) : null,
+      settings: room.settings,
+      locked: room.locked,
+      chat: room.chat,
+      autoStart: room.autoStart,
+      goAt: room.goAt,            // server clock; the client converts it with its clock offset
+      lastChanceRemaining: room.lastChanceEndsAt ? Math.max(0, room.lastChanceEndsAt - now) : 0,
+      players: [...room.players.values()].map(p => ({
+        ...serializePlayer(p),
+        finishTime: finishTimeOf(room, p),
+        penaltyUntil: p.penaltyUntil,
+        items: serializeItems(p, now),
+      })),
+      spectators: [...room.spectators.values()].map(serializeSpectator),
+      results: room.phase === 'finished' ? room.results : null,
+      replayId: room.phase === 'finished' ? room.replayId : null,
+      championship: serializeChampionship(room),
+      teams: room.phase === 'finished' ? room.teamResults : serializeTeams(room),
+    };
+  }
+
+  function buildResultsArray(room) {
+    const players = [...room.players.values()];
+    const finished = players.filter(p => p.finishedAt).sort((a, b) => a.rank - b.rank);
+    // Relay legs all end at different times, so drivers rank by their leg time
+    if (room.settings.teamMode === 'relay') {
+      finished.sort((a, b) => finishTimeOf(room, a) - finishTimeOf(room, b));
+      finished.forEach((p, i) => { p.rank = i + 1; });
+    }
+    const unfinished = players.filter(p => !p.finishedAt && !p.disqualified).sort((a, b) => b.progress - a.progress);
+    const disqualified = players.filter(p => !p.finishedAt && p.disqualified).sort((a, b) => b.progress - a.progress);
+    let rank = finished.length;
+    unfinished.forEach(p => { p.rank = ++rank; p.dnf = true; });
+    disqualified.forEach(p => { p.rank = ++rank; });
+    return [...finished, ...unfinished, ...disqualified].map(p => ({
+      ...serializePlayer(p),
+      finishTime: finishTimeOf(room, p),
+    }));
+  }
+
+  function checkAllFinished(room, roomCode) {
+    const activePlayers = [...room.players.values()].filter(p => !p.disconnected && !p.disqualified);
+    const allDone = activePlayers.every(p => p.finishedAt);
+    if (allDone) endRace(room, roomCode);
+  }
+
+  function endRace(room, roomCode) {
+    if (room.phase === 'finished') return;
+    room.phase = 'finished';
+    stopRaceTicks(room);
+    clock.clearTimeout(room.raceTimeout);
+    clock.clearTimeout(room.firstFinishTimeout);
+    room.lastChanceEndsAt = null;
+    room.results = buildResultsArray(room);
+    room.teamResults = buildTeamResults(room);
+    awardChampionshipPoints(room);
+    recordLeaderboardTimes(room);
+    room.replayId = storeReplay(room);
+    io.to(roomCode).emit('race-finished', {
+      results: room.results,
+      replayId: room.replayId,
+      championship: serializeChampionship(room),
+      teams: room.teamResults,
+    });
+  }
+
+  // Clean human finishes go on the all-time board; each result learns whether
+  // it was a personal best so the results screen can call it out.
+  function recordLeaderboardTimes(room) {
+    // A relay leg is only part of the distance and items change the pace,
+    // so neither kind of race is comparable
+    if (room.settings.teamMode === 'relay' || room.settings.items) return;
+    const eligible = room.results.filter(r => (
+      r.finishTime != null && !r.isBot && !r.dnf && !r.disqualified && r.flags.length === 0
+    ));
+    const outcomes = leaderboard.record(eligible.map(r => ({
+      name: r.name,
+      carModel: r.carModel,
+      timeMs: r.finishTime,
+      distance: room.settings.clicksToFinish,
+      mode: room.settings.mode,
+      roomCode: room.code,
+    })));
+    eligible.forEach((r, i) => Object.assign(r, outcomes[i]));
+  }
+
+  // Turns accepted clicks (human or CPU) into throttle; see car-physics.js.
+  // Some game modes award several clicks for a single input; item effects are
+  // applied by the caller.
+  function advancePlayer(room, player, now, clicks = 1) {
+    const arrivedAt = moveCar(room, player, now);
+    if (arrivedAt != null) return crossLine(room, player, arrivedAt, now);
+    if (player.finishedAt || player.disqualified) return;
+    for (let i = 0; i < clicks; i++) player.clickTimeline.push(now);
+    player.clickCount += clicks;
+    throttle(player.car, CAR_PROFILES[player.carModel], clicks, { boosted: player.items.nitroUntil > now });
+  }
+
+  // Called from the race loop: every car coasts on to `now`. Cars that reach
+  // the line in the same tick are ranked by the moment each one got there.
+  function driveCars(room, now) {
+    if (now < room.goAt) return;
+    const arrivals = [];
+    for (const player of room.players.values()) {
+      const arrivedAt = moveCar(room, player, now);
+      if (arrivedAt != null) arrivals.push({ player, arrivedAt });
+    }
+    arrivals.sort((a, b) => a.arrivedAt - b.arrivedAt);
+    for (const { player, arrivedAt } of arrivals) {
+      if (room.phase === 'racing') crossLine(room, player, arrivedAt, now);
+    }
+  }
+
+  // Brings a car's position up to `now`. Returns when it reached the end of
+  // the driver's distance, or null while it is still on the way.
+  function moveCar(room, player, now) {
+    if (player.finishedAt || player.disqualified || player.relayLocked) return null;
+    const target = player.legTarget != null ? player.legTarget : room.settings.clicksToFinish;
+    const previousProgress = player.progress;
+    const arrivedAt = coast(player.car, CAR_PROFILES[player.carModel], now, target);
+    player.progress = Math.floor((player.car.distance / target) * 1000) / 10;   // percent, 0.1 precision
+    collectItems(room, player, previousProgress, now);
+    recordLaps(room, player, target, arrivedAt);
+    return arrivedAt;
+  }
+
+  // Laps split each driver's own distance (a relay leg is run over the full
+  // lap count). A lap ends when the car passes the first whole unit of distance
+  // at or beyond the lap line; the last one ends at the finish.
+  function recordLaps(room, player, target, arrivedAt) {
+    const { laps } = room.settings;
+    if (laps < 2) return;
+    const { splits } = player.car;
+    while (player.lapTimes.length < laps) {
+      const lap = player.lapTimes.length + 1;
+      let endedAt;
+      if (lap === laps) {
+        if (arrivedAt == null) return;
+        endedAt = arrivedAt;
+      } else {
+        const mark = Math.ceil((target / laps) * lap);
+        if (splits.length < mark) return;
+        endedAt = splits[mark - 1];
+      }
+      const startedAt = (player.legStartedAt != null ? player.legStartedAt : room.goAt) +
+        player.lapTimes.reduce((sum, t) => sum + t, 0);
+      const lapTime = endedAt - startedAt;
+      player.lapTimes.push(lapTime);
+      io.to(room.code).emit('lap-completed', { socketId: player.socketId, lap, lapTime });
+    }
+  }
+
+  // The driver has covered their distance: a finish, or the end of a relay leg
+  function crossLine(room, player, arrivedAt, now) {
+    player.finishedAt = arrivedAt;
+    const team = teamOf(room, player);
+
+    if (room.settings.teamMode === 'relay') {
+      io.to(room.code).emit('player-finished', {
+        socketId: player.socketId,
+        rank: null,
+        time: finishTimeOf(room, player),
+        leg: true,
+      });
+      handOff(room, team, now);
+    } else {
+      player.rank = ++room.finishedCount;
+      io.to(room.code).emit('player-finished', {
+        socketId: player.socketId,
+        rank: player.rank,
+        time: finishTimeOf(room, player),
+      });
+      if (team) checkTeamFinished(room, team, now);
+      else if (player.rank === 1) openLastChance(room, now);
+    }
+
+    checkAllFinished(room, room.code);
+  }
+
+  // First finisher (first team home in team races): cancel the race time limit
+  // and open the last-chance window. With the window disabled, everyone else
+  // races on until the time limit.
+  function openLastChance(room, now) {
+    const { lastChanceMs } = room.settings;
+    if (lastChanceMs <= 0) return;
+    clock.clearTimeout(room.raceTimeout);
+    room.lastChanceEndsAt = now + lastChanceMs;
+    io.to(room.code).emit('first-finisher-countdown', { duration: lastChanceMs });
+    room.firstFinishTimeout = clock.setTimeout(() => {
+      if (room.phase === 'racing') endRace(room, room.code);
+    }, lastChanceMs);
+  }
+
+  // Input before GO never counts. The first one also costs the driver the
+  // room's false-start penalty: they're held at the line that long after GO.
+  function falseStart(room, player, socket) {
+    const mode = GAME_MODES[room.settings.mode];
+    socket.emit('click-rejected', { reason: 'false-start', modeState: mode.publicState(player.modeState) });
+    const { falseStartPenaltyMs } = room.settings;
+    if (!falseStartPenaltyMs || player.penaltyUntil) return;
+    player.penaltyUntil = room.goAt + falseStartPenaltyMs;
+    io.to(room.code).emit('false-start', { socketId: player.socketId, penaltyMs: falseStartPenaltyMs });
+  }
+
+  // Puts the room on the race tick and starts whichever deadline the race is
+  // running to: the time limit (measured from GO) or, once someone has
+  // finished, the last-chance window. Also picks restored races back up.
+  function startRaceTimers(room) {
+    const roomCode = room.code;
+    startRaceTicks(room);
+
+    if (room.lastChanceEndsAt) {
+      room.firstFinishTimeout = clock.setTimeout(() => {
+        if (room.phase === 'racing') endRace(room, roomCode);
+      }, room.lastChanceEndsAt - clock.now());
+      return;
+    }
+    room.raceTimeout = clock.setTimeout(() => {
+      if (room.phase !== 'racing') return;
+      endRace(room, roomCode);
+    }, room.goAt + room.settings.raceTimeoutMs - clock.now());
+  }
+
+  // Called from the race loop: fire every CPU click that has come due
+  function stepBots(room, now) {
+    if (now < room.goAt) return;
+    for (const player of room.players.values()) {
+      if (!player.bot || player.finishedAt || player.disconnected || player.relayLocked || room.phase !== 'racing') continue;
+      const bot = player.bot;
+      if (!bot.nextClickAt) bot.nextClickAt = now + nextBotInterval(player, room.settings.mode);
+      while (bot.nextClickAt <= now && !player.finishedAt && room.phase === 'racing') {
+        const clickAt = bot.nextClickAt;
+        if (Math.random() < BOT_PROFILES[bot.difficulty].mistakeRate) {
+          bot.nextClickAt = clickAt + BOT_MISTAKE_STALL_MS;
+          continue;
+        }
+        const clicks = applyItemEffects(player, 1, clickAt);
+        if (clicks > 0) advancePlayer(room, player, clickAt, clicks);
+        bot.nextClickAt = clickAt + nextBotInterval(player, room.settings.mode);
+      }
+    }
+  }
+
+  function reportIntegrity(room, player, reason) {
+    io.to(room.code).emit('player-flagged', {
+      socketId: player.socketId,
+      reason,
+      message: INTEGRITY_REASONS[reason],
+      disqualified: player.disqualified,
+    });
+    if (player.disqualified) {
+      releaseRelayLeg(room, player, clock.now());
+      checkAllFinished(room, room.code);
+    }
+  }
+
+  function removePlayer(room, socketId) {
+    const player = room.players.get(socketId);
+    if (!player) return;
+    clock.clearTimeout(player.releaseTimer);
+    room.players.delete(socketId);
+
+    // CPU drivers can't keep a room alive or hold the host role
+    const humans = [...room.players.values()].filter(isHuman);
+    if (humans.length === 0) {
+      closeRoom(room, 'Every driver has left this room.');
+      return;
+    }
 
-  if (room.phase === 'lobby') {
-    room.players.delete(socket.id);
     let newHostId = null;
-    if (room.hostSocketId === socket.id && room.players.size > 0) {
-      newHostId = room.players.keys().next().value;
+    if (room.hostSocketId === socketId) {
+      const next = humans.find(p => !p.disconnected) || humans[0];
+      newHostId = next.socketId;
       room.hostSocketId = newHostId;
     }
-    if (room.players.size === 0) {
-      rooms.delete(roomCode);
+    io.to(room.code).emit('player-left', { socketId, newHostId });
+    refreshAutoStart(room);
+    updateListing(room);
+  }
+
+  function removeSpectator(room, socketId) {
+    const spectator = room.spectators.get(socketId);
+    if (!spectator) return;
+    clock.clearTimeout(spectator.releaseTimer);
+    room.spectators.delete(socketId);
+    io.to(room.code).emit('spectator-left', { socketId });
+  }
+
+  function closeRoom(room, reason) {
+    stopRaceTicks(room);
+    clock.clearTimeout(room.raceTimeout);
+    clock.clearTimeout(room.firstFinishTimeout);
+    clock.clearTimeout(room.restoreTimeout);
+    clock.clearTimeout(room.autoStartTimeout);
+    for (const member of [...room.players.values(), ...room.spectators.values()]) clock.clearTimeout(member.releaseTimer);
+    rooms.delete(room.code);
+    updateListing(room);
+    store.releaseRoom(room.code, INSTANCE_ID).catch(err => console.error('Failed to release room:', err.message));
+    io.to(room.code).emit('room-closed', { reason });
+    io.in(room.code).socketsLeave(room.code);
+  }
+
+  const KICKED_REASON = 'The host removed you from this room.';
+
+  // Removes a driver or spectator for good: their client is told why, and a
+  // fresh session token stops the old one rejoining. A kicked driver mid-race
+  // is retired like one who left. With ban, their session and name can't
+  // come back into this room at all.
+  function kickMember(room, socketId, reason, { ban = false } = {}) {
+    const member = room.players.get(socketId) || room.spectators.get(socketId);
+    if (!member) return false;
+    if (ban) {
+      room.bans.sessions.push(member.sessionToken);
+      room.bans.names.push(member.name.toLowerCase());
+    }
+    member.sessionToken = createSessionToken();
+    const client = clientHandle(socketId);
+    client.emit('kicked', { reason });
+    client.leave(room.code);
+
+    if (room.spectators.has(socketId)) removeSpectator(room, socketId);
+    else if (room.phase === 'racing') retirePlayer(room, member);
+    else removePlayer(room, socketId);
+    return true;
+  }
+
+  // keepSeat: the transport dropped (not an explicit leave), so hold the seat
+  // for RECONNECT_GRACE_MS in case the same session comes back via rejoin-room.
+  function handleDisconnect(socket, { keepSeat = false } = {}) {
+    const room = findRoomBySocket(socket.id);
+    if (!room) return;
+
+    const roomCode = room.code;
+    if (!keepSeat) socket.leave(roomCode);
+    const spectator = room.spectators.get(socket.id);
+    if (spectator) {
+      if (!keepSeat) return removeSpectator(room, socket.id);
+      spectator.disconnected = true;
+      clock.clearTimeout(spectator.releaseTimer);
+      spectator.releaseTimer = clock.setTimeout(() => {
+        if (spectator.disconnected) removeSpectator(room, spectator.socketId);
+      }, RECONNECT_GRACE_MS);
       return;
     }
-    io.to(roomCode).emit('player-left', { socketId: socket.id, newHostId });
-  } else if (room.phase === 'racing') {
+
+    const player = room.players.get(socket.id);
+    if (!player) return;
+
+    if (room.phase !== 'racing') {
+      if (!keepSeat) return removePlayer(room, socket.id);
+      player.disconnected = true;
+      clock.clearTimeout(player.releaseTimer);
+      player.releaseTimer = clock.setTimeout(() => {
+        if (player.disconnected && room.players.get(player.socketId) === player) {
+          removePlayer(room, player.socketId);
+        }
+      }, RECONNECT_GRACE_MS);
+      io.to(roomCode).emit('player-disconnected', { socketId: socket.id });
+      refreshAutoStart(room);
+    } else {
+      if (!keepSeat) return retirePlayer(room, player);
+      holdRacingSeat(room, player, RECONNECT_GRACE_MS);
+      io.to(roomCode).emit('player-disconnected', { socketId: socket.id });
+    }
+  }
+
+  // Mid-race a dropped driver keeps their lane, and the host role, until the
+  // timer runs out; only then are they retired. A restored race still paused
+  // by then is closed by its own restore timeout instead.
+  function holdRacingSeat(room, player, ms) {
+    player.disconnected = true;
+    clock.clearTimeout(player.releaseTimer);
+    player.releaseTimer = clock.setTimeout(() => {
+      player.releaseTimer = null;
+      if (!player.disconnected || room.players.get(player.socketId) !== player || room.pausedAt) return;
+      if (room.phase === 'racing') retirePlayer(room, player);
+      else removePlayer(room, player.socketId);
+    }, ms);
+  }
+
+  // Mid-race a driver who leaves keeps their lane but is out of the race
+  function retirePlayer(room, player) {
     player.disconnected = true;
     let newHostId = null;
-    if (room.hostSocketId === socket.id && room.players.size > 0) {
-      const next = [...room.players.keys()].find(id => !room.players.get(id).disconnected);
-      if (next) { room.hostSocketId = next; newHostId = next; }
+    if (room.hostSocketId === player.socketId && room.players.size > 0) {
+      const next = [...room.players.values()].find(p => isHuman(p) && !p.disconnected);
+      if (next) { room.hostSocketId = next.socketId; newHostId = next.socketId; }
     }
-    io.to(roomCode).emit('player-left', { socketId: socket.id, newHostId });
-    checkAllFinished(room, roomCode);
-  } else {
-    room.players.delete(socket.id);
-    if (room.players.size === 0) rooms.delete(roomCode);
+    io.to(room.code).emit('player-left', { socketId: player.socketId, newHostId });
+    releaseRelayLeg(room, player, clock.now());
+    checkAllFinished(room, room.code);
+  }
+
+  // ─── Race start ────────────────────────────────────────────────────────────
+  // The host's Start button and the lobby's automatic start both come through
+  // startRace. The lobby starts on its own a few seconds after every connected
+  // driver is ready (un-readying calls it off), or when the host's lobby timer
+  // runs out, whichever comes first.
+
+  const AUTO_START_MS = 5000;
+
+  // Returns a reason when the race can't start
+  function startRace(room) {
+    if (room.players.size < 1) return 'Need at least 1 player to start the race.';
+    if (isTeamRace(room)) {
+      const empty = TEAMS.slice(0, room.settings.teamCount).find((_, team) => teamMembers(room, team).length === 0);
+      if (empty) return `Team ${empty.name} has no drivers.`;
+    }
+
+    clock.clearTimeout(room.autoStartTimeout);
+    room.autoStart = null;
+    room.autoStartTimeout = null;
+    room.lobbyDeadline = null;
+    room.phase = 'racing';
+    room.finishedCount = 0;
+
+    // GO is an absolute server time, so every client can start on it whatever
+    // its latency (see clock-ping)
+    const { startDelay } = room.settings;
+    const goAt = clock.now() + startDelay;
+    room.goAt = goAt;
+    room.teams = createTeamRace(room, goAt);
+    room.teamsFinished = 0;
+    io.to(room.code).emit('race-started', { goAt, startDelay, settings: room.settings, teams: serializeTeams(room) });
+
+    // Each driver gets fresh input state from the room's game mode
+    const mode = GAME_MODES[room.settings.mode];
+    for (const player of room.players.values()) {
+      player.penaltyUntil = null;
+      player.modeState = mode.createState({ goAt });
+      if (isHuman(player)) io.to(player.socketId).emit('mode-state', { modeState: mode.publicState(player.modeState) });
+    }
+
+    startRaceTimers(room);
+    updateListing(room);
+    return null;
+  }
+
+  function everyoneReady(room) {
+    const drivers = [...room.players.values()].filter(p => isHuman(p) && !p.disconnected);
+    return drivers.length > 0 && drivers.every(p => p.ready);
+  }
+
+  // The lobby timer (re)starts whenever the lobby opens or the host changes it
+  function startLobbyTimer(room) {
+    const { lobbyTimerMs } = room.settings;
+    room.lobbyDeadline = lobbyTimerMs ? clock.now() + lobbyTimerMs : null;
+    refreshAutoStart(room);
+  }
+
+  // Works out which automatic start, if any, the lobby should be counting down
+  // to and tells the room when that changes. Call it after anything that could
+  // change readiness or the driver list.
+  function refreshAutoStart(room) {
+    if (room.phase !== 'lobby' || !rooms.has(room.code)) return;
+    const now = clock.now();
+    const current = room.autoStart;
+    let next = room.lobbyDeadline ? { reason: 'timer', startsAt: room.lobbyDeadline } : null;
+    if (everyoneReady(room)) {
+      const readyAt = current && current.reason === 'ready' ? current.startsAt : now + AUTO_START_MS;
+      if (!next || readyAt < next.startsAt) next = { reason: 'ready', startsAt: readyAt };
+    }
+
+    if (current && next && current.reason === next.reason && current.startsAt === next.startsAt) return;
+    if (!current && !next) return;
+
+    clock.clearTimeout(room.autoStartTimeout);
+    room.autoStart = next;
+    room.autoStartTimeout = next
+      ? clock.setTimeout(() => autoStartRace(room), Math.max(0, next.startsAt - now))
+      : null;
+    io.to(room.code).emit('auto-start', { autoStart: next });
+  }
+
+  function autoStartRace(room) {
+    room.autoStartTimeout = null;
+    const error = startRace(room);
+    if (!error) return;
+    room.autoStart = null;
+    room.lobbyDeadline = null;
+    io.to(room.code).emit('auto-start', { autoStart: null, reason: error });
+  }
+
+  // ─── Public rooms ──────────────────────────────────────────────────────────
+  // A public room is listed in the store while its lobby is open: not racing,
+  // not locked and not full. The landing screen lists them from every instance
+  // and Quick Play joins the fullest.
+
+  function isOpenPublicRoom(room) {
+    return room.settings.public && room.phase === 'lobby' && !room.locked &&
+      room.players.size < room.settings.maxDrivers && rooms.has(room.code);
+  }
+
+  function roomListing(room) {
+    const host = room.players.get(room.hostSocketId);
+    const { maxDrivers, mode, clicksToFinish, teamMode, rounds, items } = room.settings;
+    return {
+      code: room.code,
+      host: host ? host.name : null,
+      drivers: room.players.size,
+      maxDrivers, mode, clicksToFinish, teamMode, rounds, items,
+      createdAt: room.createdAt,
+    };
+  }
+
+  // Call after anything that changes whether a room is open or what its
+  // listing shows
+  function updateListing(room) {
+    const onError = err => console.error('Failed to update room listing:', err.message);
+    if (isOpenPublicRoom(room)) {
+      room.listed = true;
+      store.publishRoom(room.code, INSTANCE_ID, roomListing(room)).catch(onError);
+    } else if (room.listed) {
+      room.listed = false;
+      store.unpublishRoom(room.code, INSTANCE_ID).catch(onError);
+    }
+  }
+
+  // Fullest first; among equals the longest-waiting lobby
+  async function listOpenRooms() {
+    const listings = await store.listPublicRooms();
+    return listings
+      .filter(l => l.drivers < l.maxDrivers)
+      .sort((a, b) => b.drivers - a.drivers || a.createdAt - b.createdAt);
+  }
+
+  // Not a room event: it picks the room first, then joins or creates it the
+  // same way the landing screen's buttons do
+  async function quickPlay(socket, { name, carModel }) {
+    const [best] = await listOpenRooms();
+    if (best) return dispatchRoomEvent(socket, 'join-room', { code: best.code, name, carModel });
+    return dispatchRoomEvent(socket, 'create-room', { name, carModel, public: true });
+  }
+
+  // ─── Race ticks ────────────────────────────────────────────────────────────
+  // One 20Hz scheduler drives every racing room on this instance: it fires bot
+  // clicks, moves every car on and runs item timers, then broadcasts progress.
+  // A broadcast only carries the drivers (and teams) whose progress moved since
+  // the last one, so a quiet room sends nothing but a keyframe every couple of
+  // seconds. Mid-race the updates go out at half rate; once anyone is near the
+  // line, at full rate.
+  //
+  // 'progress-update' payload: [seq, keyframe, drivers, teams, at]
+  //   seq        increases by one per broadcast, restarting with each race
+  //   keyframe   true when every driver and team is included
+  //   drivers    flat [socketId, progress, socketId, progress, …]
+  //   teams      flat [team, progress, …], or null outside team races
+  //   at         ms after GO the positions were taken, so clients can space
+  //              updates by when they happened rather than when they arrived
+  // Progress is a percentage rounded to one decimal.
+
+  const TICK_MS = 50;
+  const CRUISE_BROADCAST_MS = 100;
+  const NEAR_FINISH_PROGRESS = 80;
+  const KEYFRAME_MS = 2000;
+
+  const racingRooms = new Set();
+  let tickTimer = null;
+
+  function startRaceTicks(room) {
+    room.ticks = { seq: 0, sentAt: 0, keyframeAt: 0, drivers: new Map(), teams: new Map() };
+    racingRooms.add(room);
+    if (!tickTimer) tickTimer = clock.setInterval(runRaceTick, TICK_MS);
+  }
+
+  function stopRaceTicks(room) {
+    racingRooms.delete(room);
+    room.ticks = null;
+    if (!racingRooms.size && tickTimer) {
+      clock.clearInterval(tickTimer);
+      tickTimer = null;
+    }
+  }
+
+  function runRaceTick() {
+    const now = clock.now();
+    for (const room of racingRooms) {
+      if (room.phase !== 'racing') { stopRaceTicks(room); continue; }
+      stepBots(room, now);
+      if (room.phase !== 'racing') continue;
+      driveCars(room, now);
+      if (room.phase !== 'racing') continue;
+      stepItems(room, now);
+      broadcastProgress(room, now);
+    }
+  }
+
+  // Someone still racing is close enough to the line that every tick counts
+  function nearFinish(room) {
+    for (const player of room.players.values()) {
+      if (!player.finishedAt && !player.disqualified && player.progress >= NEAR_FINISH_PROGRESS) return true;
+    }
+    return false;
+  }
+
+  function broadcastProgress(room, now) {
+    const { ticks } = room;
+    const interval = nearFinish(room) ? TICK_MS : CRUISE_BROADCAST_MS;
+    if (now - ticks.sentAt < interval) return;
+    const keyframe = now - ticks.keyframeAt >= KEYFRAME_MS;
+
+    // [key, value] pairs that changed since they were last sent (all of them
+    // on a keyframe), flattened
+    const collect = (sent, entries) => {
+      const changed = [];
+      for (const [key, progress] of entries) {
+        const value = Math.round(progress * 10) / 10;
+        if (!keyframe && sent.get(key) === value) continue;
+        sent.set(key, value);
+        changed.push(key, value);
+      }
+      return changed;
+    };
+    const drivers = collect(ticks.drivers, [...room.players.values()].map(p => [p.socketId, p.progress]));
+    const teams = room.teams ? collect(ticks.teams, room.teams.map(t => [t.team, teamProgress(room, t)])) : null;
+    if (!keyframe && !drivers.length && !(teams && teams.length)) return;
+
+    ticks.seq++;
+    ticks.sentAt = now;
+    if (keyframe) ticks.keyframeAt = now;
+    io.to(room.code).emit('progress-update', [ticks.seq, keyframe, drivers, teams, now - room.goAt]);
   }
-}
 
-// ─── Socket.io ───────────────────────────────────────────────────────────────
+  // ─── Socket.io ─────────────────────────────────────────────────────────────
+  // Each room's events run on the instance that owns it. Handlers get a client
+  // handle instead of the socket, so they work the same whether the client is
+  // connected here or to another instance.
 
-io.on('connection', (socket) => {
+  const roomEvents = new Map();   // event → handler(client, payload)
 
-  // ── Create room ─────────────────────────────────────────────────────────────
-  socket.on('create-room', ({ name, carModel }) => {
-    const safeName = sanitize(name);
-    const safeModel = ['a-class', 'cla', 'amg-gt', '300sl', 'amg-gtr', 'c-class'].includes(carModel) ? carModel : 'a-class';
+  function onRoomEvent(event, handler) {
+    roomEvents.set(event, handler);
+  }
 
-    const code = generateRoomCode();
-    const player = {
-      socketId: socket.id,
-      name: safeName || 'Driver',
-      carModel: safeModel,
-      carColor: COLOR_PALETTE[0],
-      progress: 0,
-      clickCount: 0,
-      lastClickTime: 0,
-      finishedAt: null,
-      rank: null,
-      dnf: false,
-      disconnected: false,
+  // Sockets connected here join and leave directly: through the adapter even a
+  // local join is a round trip, and a broadcast right after it would miss them
+  function clientHandle(socketId) {
+    const local = io.sockets.sockets.get(socketId);
+    return {
+      id: socketId,
+      emit: (event, data) => io.to(socketId).emit(event, data),
+      to: room => io.to(room).except(socketId),
+      join: room => (local ? local.join(room) : io.in(socketId).socketsJoin(room)),
+      leave: room => (local ? local.leave(room) : io.in(socketId).socketsLeave(room)),
     };
+  }
+
+  // ── Create room ────────────────────────────────────────────────────────────
+  onRoomEvent('create-room', async (socket, { name, carModel, public: isPublic }) => {
+    if (shuttingDown) return socket.emit('join-error', { reason: 'The server is restarting. Try again in a moment.' });
+    const code = await generateRoomCode();
+    const player = createPlayer(socket.id, { name, carModel }, COLOR_PALETTE[0]);
 
     const room = {
       code,
       hostSocketId: socket.id,
       phase: 'lobby',
       players: new Map([[socket.id, player]]),
-      createdAt: Date.now(),
-      raceStartedAt: null,
+      spectators: new Map(),
+      settings: { ...DEFAULT_SETTINGS, public: !!isPublic },
+      createdAt: clock.now(),
+      goAt: null,                // server time of GO while a race is on
       finishedCount: 0,
-      broadcastInterval: null,
+      lastChanceEndsAt: null,
+      results: null,
+      replayId: null,
+      championship: createChampionship(),
+      teams: null,            // race-time team state (see createTeamRace)
+      teamsFinished: 0,
+      teamResults: null,
+      ticks: null,
       raceTimeout: null,
       firstFinishTimeout: null,
+      pausedAt: null,         // a race restored after a restart, waiting for its drivers
+      restoreTimeout: null,
+      locked: false,          // the host has closed the room to new joins
+      bans: { sessions: [], names: [] },   // kicked by the host, for the room's lifetime
+      chat: [],               // the last CHAT_HISTORY messages
+      lobbyDeadline: null,    // when the host's lobby timer runs out
+      autoStart: null,        // { reason: 'ready' | 'timer', startsAt } while a start is counting down
+      autoStartTimeout: null,
+      listed: false,          // has a listing in the store's public index
     };
 
     rooms.set(code, room);
+    updateListing(room);
     socket.join(code);
-    socket.emit('room-created', { code, player: serializePlayer(player) });
+    socket.emit('room-created', {
+      code,
+      player: serializePlayer(player),
+      sessionToken: player.sessionToken,
+      settings: room.settings,
+    });
   });
 
-  // ── Join room ────────────────────────────────────────────────────────────────
-  socket.on('join-room', ({ code, name, carModel }) => {
+  // ── Join room ──────────────────────────────────────────────────────────────
+  onRoomEvent('join-room', (socket, { code, name, carModel, spectate }) => {
     const room = rooms.get((code || '').toUpperCase());
     if (!room) return socket.emit('join-error', { reason: 'Room not found. Check the code and try again.' });
-    if (room.phase !== 'lobby') return socket.emit('join-error', { reason: 'This race has already started. Wait for the next round.' });
-    if (room.players.size >= 16) return socket.emit('join-error', { reason: 'Room is full (max 16 players).' });
+    if (room.bans.names.includes(sanitize(name).toLowerCase())) {
+      return socket.emit('join-error', { reason: KICKED_REASON });
+    }
+    if (room.locked) return socket.emit('join-error', { reason: 'The host has locked this room.' });
 
-    const safeName = sanitize(name);
-    const safeModel = ['a-class', 'cla', 'amg-gt', '300sl', 'amg-gtr', 'c-class'].includes(carModel) ? carModel : 'a-class';
+    // Late joiners and overflow watch from the stands and drive next round
+    if (spectate || room.phase !== 'lobby' || room.players.size >= room.settings.maxDrivers) {
+      const spectator = createSpectator(socket.id, { name, carModel }, !spectate);
+      room.spectators.set(socket.id, spectator);
+      socket.join(room.code);
 
-    const player = {
-      socketId: socket.id,
-      name: safeName || 'Driver',
-      carModel: safeModel,
-      carColor: getNextColor(room),
-      progress: 0,
-      clickCount: 0,
-      lastClickTime: 0,
-      finishedAt: null,
-      rank: null,
-      dnf: false,
-      disconnected: false,
-    };
+      socket.emit('room-joined', {
+        code: room.code,
+        hostId: room.hostSocketId,
+        players: [...room.players.values()].map(serializePlayer),
+        sessionToken: spectator.sessionToken,
+        spectator: true,
+        snapshot: buildRoomSnapshot(room, spectator),
+      });
+
+      socket.to(room.code).emit('spectator-joined', { spectator: serializeSpectator(spectator) });
+      return;
+    }
+
+    const player = createPlayer(socket.id, { name, carModel }, getNextColor(room));
 
     room.players.set(socket.id, player);
+    balanceTeams(room);
     socket.join(code.toUpperCase());
 
     socket.emit('room-joined', {
       code: room.code,
       hostId: room.hostSocketId,
       players: [...room.players.values()].map(serializePlayer),
+      spectators: [...room.spectators.values()].map(serializeSpectator),
+      sessionToken: player.sessionToken,
+      settings: room.settings,
+      championship: serializeChampionship(room),
+      locked: room.locked,
+      chat: room.chat,
+      autoStart: room.autoStart,
     });
 
     socket.to(room.code).emit('player-joined', { player: serializePlayer(player) });
+    refreshAutoStart(room);
+    updateListing(room);
+  });
+
+  // ── Spectator asks to drive ────────────────────────────────────────────────
+  onRoomEvent('request-drive', (socket, { roomCode, wantsToDrive = true }) => {
+    const room = rooms.get(roomCode);
+    if (!room) return;
+    const spectator = room.spectators.get(socket.id);
+    if (!spectator) return;
+
+    if (wantsToDrive && room.phase === 'lobby' && room.players.size < room.settings.maxDrivers) {
+      const player = promoteSpectator(room, spectator);
+      io.to(room.code).emit('spectator-promoted', { player: serializePlayer(player) });
+      refreshAutoStart(room);
+      updateListing(room);
+      return;
+    }
+
+    spectator.wantsToDrive = !!wantsToDrive;
+    io.to(room.code).emit('spectator-updated', { spectator: serializeSpectator(spectator) });
   });
 
-  // ── Rejoin room (reconnect) ──────────────────────────────────────────────────
-  socket.on('rejoin-room', ({ code, name, carModel }) => {
+  // ── Rejoin room (reconnect) ────────────────────────────────────────────────
+  onRoomEvent('rejoin-room', (socket, { code, sessionToken }) => {
     const room = rooms.get((code || '').toUpperCase());
     if (!room) return socket.emit('rejoin-failed', { reason: 'Room no longer exists.' });
+    if (room.bans.sessions.includes(sessionToken)) return socket.emit('rejoin-failed', { reason: KICKED_REASON });
 
-    const safeName = sanitize(name);
-    const safeModel = ['a-class', 'cla', 'amg-gt', '300sl', 'amg-gtr', 'c-class'].includes(carModel) ? carModel : 'a-class';
-
-    const player = {
-      socketId: socket.id,
-      name: safeName || 'Driver',
-      carModel: safeModel,
-      carColor: getNextColor(room),
-      progress: 0,
-      clickCount: 0,
-      lastClickTime: 0,
-      finishedAt: null,
-      rank: null,
-      dnf: false,
-      disconnected: false,
-    };
+    const player = findPlayerBySession(room, sessionToken);
+    if (!player) return socket.emit('rejoin-failed', { reason: 'Your seat in this room has expired.' });
 
-    room.players.set(socket.id, player);
+    const previousSocketId = player.socketId;
+    if (previousSocketId !== socket.id) {
+      // A stale socket (e.g. a duplicated tab) must stop receiving this room
+      io.in(previousSocketId).socketsLeave(room.code);
+      rebindPlayer(room, player, socket.id);
+    }
+    clock.clearTimeout(player.releaseTimer);
+    player.releaseTimer = null;
+    player.disconnected = false;
     socket.join(room.code);
 
-    socket.emit('room-joined', {
+    const spectator = room.spectators.get(socket.id) === player;
+    if (room.pausedAt && !spectator) resumeRestoredRace(room);
+    socket.emit('room-rejoined', {
       code: room.code,
       hostId: room.hostSocketId,
-      players: [...room.players.values()].map(serializePlayer),
-      phase: room.phase,
+      sessionToken: player.sessionToken,
+      spectator,
+      snapshot: buildRoomSnapshot(room, player),
     });
 
-    socket.to(room.code).emit('player-joined', { player: serializePlayer(player) });
+    if (spectator) {
+      socket.to(room.code).emit('spectator-rejoined', { previousSocketId, spectator: serializeSpectator(player) });
+      return;
+    }
+    socket.to(room.code).emit('player-rejoined', {
+      previousSocketId,
+      player: serializePlayer(player),
+      hostId: room.hostSocketId,
+    });
+    refreshAutoStart(room);
   });
 
-  // ── Start race ───────────────────────────────────────────────────────────────
-  socket.on('start-race', ({ roomCode }) => {
+  // ── Race settings (host only, lobby only) ──────────────────────────────────
+  onRoomEvent('update-settings', (socket, { roomCode, settings }) => {
     const room = rooms.get(roomCode);
-    if (!room) return;
-    if (room.hostSocketId !== socket.id) return;
-    if (room.phase !== 'lobby') return;
-    if (room.players.size < 1) {
-      return socket.emit('start-error', { reason: 'Need at least 1 player to start the race.' });
+    if (!room || room.hostSocketId !== socket.id || room.phase !== 'lobby') return;
+
+    const result = validateSettings(settings, room);
+    if (result.error) return socket.emit('settings-error', { reason: result.error, settings: room.settings });
+
+    const lobbyTimerChanged = result.settings.lobbyTimerMs !== room.settings.lobbyTimerMs;
+    room.settings = result.settings;
+    if (room.settings.rounds <= 1) room.championship = createChampionship();
+    io.to(room.code).emit('settings-updated', { settings: room.settings, championship: serializeChampionship(room) });
+    if (balanceTeams(room)) emitTeams(room);
+    if (lobbyTimerChanged) startLobbyTimer(room);
+    updateListing(room);
+  });
+
+  // ── Team choice (lobby only) ───────────────────────────────────────────────
+  // Drivers pick their own team; the host can move anyone, CPUs included.
+  onRoomEvent('set-team', (socket, { roomCode, socketId, team }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase !== 'lobby' || !isTeamRace(room)) return;
+    const player = room.players.get(socketId || socket.id);
+    if (!player) return;
+    if (player.socketId !== socket.id && room.hostSocketId !== socket.id) return;
+    if (!Number.isInteger(team) || team < 0 || team >= room.settings.teamCount) return;
+
+    player.team = team;
+    emitTeams(room);
+  });
+
+  // ── CPU drivers (host only, lobby only) ────────────────────────────────────
+  onRoomEvent('add-bot', (socket, { roomCode, difficulty }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.hostSocketId !== socket.id || room.phase !== 'lobby') return;
+    if (!BOT_PROFILES[difficulty]) return;
+    if (room.players.size >= room.settings.maxDrivers) {
+      return socket.emit('start-error', { reason: `Room is full (max ${room.settings.maxDrivers} drivers).` });
     }
 
-    room.phase = 'racing';
-    room.raceStartedAt = Date.now();
-    room.finishedCount = 0;
+    const bot = createBot(room, difficulty);
+    room.players.set(bot.socketId, bot);
+    balanceTeams(room);
+    io.to(room.code).emit('player-joined', { player: serializePlayer(bot) });
+    updateListing(room);
+  });
+
+  onRoomEvent('remove-bot', (socket, { roomCode, botId }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.hostSocketId !== socket.id || room.phase !== 'lobby') return;
+    const bot = room.players.get(botId);
+    if (!bot || !bot.bot) return;
+    removePlayer(room, botId);
+  });
 
-    const startDelay = 3500;
-    io.to(roomCode).emit('race-started', { startDelay });
+  // ── Host moderation (host only) ────────────────────────────────────────────
+  onRoomEvent('kick-player', (socket, { roomCode, socketId }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.hostSocketId !== socket.id || socketId === socket.id) return;
+    const player = room.players.get(socketId);
+    if (!player || player.bot) return;
+    kickMember(room, socketId, KICKED_REASON, { ban: true });
+  });
 
-    // Progress broadcast loop at 20Hz
-    room.broadcastInterval = setInterval(() => {
-      if (room.phase !== 'racing') { clearInterval(room.broadcastInterval); return; }
-      const updates = [...room.players.values()].map(p => ({ socketId: p.socketId, progress: p.progress }));
-      io.to(roomCode).emit('progress-update', { updates });
-    }, 50);
+  onRoomEvent('lock-room', (socket, { roomCode, locked }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.hostSocketId !== socket.id) return;
+    room.locked = !!locked;
+    io.to(room.code).emit('room-locked', { locked: room.locked });
+    updateListing(room);
+  });
 
-    // 5 minute race timeout
-    room.raceTimeout = setTimeout(() => {
-      if (room.phase !== 'racing') return;
-      endRace(room, roomCode);
-    }, 5 * 60 * 1000);
+  onRoomEvent('transfer-host', (socket, { roomCode, socketId }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.hostSocketId !== socket.id || socketId === socket.id) return;
+    const player = room.players.get(socketId);
+    if (!player || !isHuman(player) || player.disconnected) return;
+    room.hostSocketId = socketId;
+    io.to(room.code).emit('host-changed', { newHostId: socketId });
+    updateListing(room);
+  });
+
+  // ── Chat (lobby and results) ───────────────────────────────────────────────
+  onRoomEvent('chat-message', (socket, { roomCode, text }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase === 'racing') return;
+    const member = room.players.get(socket.id) || room.spectators.get(socket.id);
+    if (!member) return;
+    if (room.settings.chat === false) return socket.emit('chat-error', { reason: 'The host has turned chat off.' });
+
+    const clean = cleanChatText(text);
+    if (!clean) return;
+    const now = clock.now();
+    if (!withinRate(member.recentMessages, CHAT_RATE, now)) {
+      return socket.emit('chat-error', { reason: 'You are sending messages too quickly.' });
+    }
+
+    const message = { socketId: member.socketId, name: member.name, text: clean, at: now };
+    room.chat.push(message);
+    if (room.chat.length > CHAT_HISTORY) room.chat.shift();
+    io.to(room.code).emit('chat-message', message);
+  });
+
+  // ── Reactions (drivers, mid-race) ──────────────────────────────────────────
+  onRoomEvent('reaction', (socket, { roomCode, emoji }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase !== 'racing' || !REACTIONS.includes(emoji)) return;
+    const player = room.players.get(socket.id);
+    if (!player || !withinRate(player.recentReactions, REACTION_RATE, clock.now())) return;
+    io.to(room.code).emit('reaction', { socketId: player.socketId, emoji });
+  });
+
+  // ── Start race ─────────────────────────────────────────────────────────────
+  onRoomEvent('start-race', (socket, { roomCode }) => {
+    const room = rooms.get(roomCode);
+    if (!room) return;
+    if (room.hostSocketId !== socket.id) return;
+    if (room.phase !== 'lobby') return;
+    const error = startRace(room);
+    if (error) socket.emit('start-error', { reason: error });
   });
 
-  // ── Click ────────────────────────────────────────────────────────────────────
-  socket.on('click', ({ roomCode }) => {
+  // ── Ready-up (drivers, lobby only) ─────────────────────────────────────────
+  onRoomEvent('set-ready', (socket, { roomCode, ready }) => {
+    const room = rooms.get(roomCode);
+    if (!room || room.phase !== 'lobby') return;
+    const player = room.players.get(socket.id);
+    if (!player || player.ready === !!ready) return;
+    player.ready = !!ready;
+    io.to(room.code).emit('player-ready', { socketId: player.socketId, ready: player.ready });
+    refreshAutoStart(room);
+  });
+
+  // ── Click ──────────────────────────────────────────────────────────────────
+  onRoomEvent('click', (socket, { roomCode, key, action }) => {
     const room = rooms.get(roomCode);
     if (!room || room.phase !== 'racing') return;
 
     const player = room.players.get(socket.id);
-    if (!player || player.finishedAt || player.disconnected) return;
+    if (!player || player.finishedAt || player.disconnected || player.disqualified) return;
+    if (player.relayLocked) return;
 
-    const now = Date.now();
-    if (now - player.lastClickTime < 50) return; // server-side throttle: max 20 CPS
+    const mode = GAME_MODES[room.settings.mode];
+    const now = clock.now();
 
-    player.lastClickTime = now;
-    player.clickCount = Math.min(100, player.clickCount + 1);
-    player.progress = player.clickCount;
+    // Firing an item isn't driving input, so it skips the mode and the throttle
+    if (action === 'use-item') {
+      if (room.settings.items && now >= room.goAt) useItem(room, player, now);
+      return;
+    }
+    if (now < room.goAt) return falseStart(room, player, socket);
+    if (player.penaltyUntil && now < player.penaltyUntil) {
+      return socket.emit('click-rejected', { reason: 'penalty', modeState: mode.publicState(player.modeState) });
+    }
+    const unthrottled = mode.unthrottled ? mode.unthrottled({ key, action }) : false;
+    if (!unthrottled && now - player.lastClickTime < CLICK_THROTTLE_MS) {
+      if (!mode.integrityChecks) return;
+      const reason = recordClick(player, null, { throttled: true });
+      if (reason) reportIntegrity(room, player, reason);
+      return;
+    }
 
-    if (player.clickCount >= 100 && !player.finishedAt) {
-      player.finishedAt = now;
-      player.rank = ++room.finishedCount;
-      io.to(roomCode).emit('player-finished', {
-        socketId: socket.id,
-        rank: player.rank,
-        time: now - room.raceStartedAt,
-      });
+    // The game mode is the only judge of whether an input counts
+    const outcome = mode.handleInput(player.modeState, { key, action }, now);
+    if (outcome.rejected) {
+      return socket.emit('click-rejected', { reason: outcome.reason, modeState: mode.publicState(player.modeState) });
+    }
 
-      // First finisher: cancel the 5-min timeout, start a 5-second last-chance timer
-      if (player.rank === 1) {
-        clearTimeout(room.raceTimeout);
-        const countdownDuration = 5000;
-        io.to(roomCode).emit('first-finisher-countdown', { duration: countdownDuration });
-        room.firstFinishTimeout = setTimeout(() => {
-          if (room.phase === 'racing') endRace(room, roomCode);
-        }, countdownDuration);
+    if (mode.integrityChecks) {
+      const reason = recordClick(player, player.lastClickTime ? now - player.lastClickTime : null);
+      if (reason) {
+        reportIntegrity(room, player, reason);
+        if (player.disqualified) return;
       }
-
-      checkAllFinished(room, roomCode);
     }
+
+    player.lastClickTime = now;
+    const clicks = applyItemEffects(player, outcome.advance, now);
+    if (outcome.judgement) socket.emit('click-judged', { judgement: outcome.judgement, clicks });
+    if (clicks > 0) advancePlayer(room, player, now, clicks);
   });
 
-  // ── Reset room (play again) ──────────────────────────────────────────────────
-  socket.on('reset-room', ({ roomCode }) => {
+  // ── Reset room (play again) ────────────────────────────────────────────────
+  onRoomEvent('reset-room', (socket, { roomCode }) => {
     const room = rooms.get(roomCode);
     if (!room) return;
     if (room.hostSocketId !== socket.id) return;
 
-    clearInterval(room.broadcastInterval);
-    clearTimeout(room.raceTimeout);
-    clearTimeout(room.firstFinishTimeout);
+    stopRaceTicks(room);
+    clock.clearTimeout(room.raceTimeout);
+    clock.clearTimeout(room.firstFinishTimeout);
+    clock.clearTimeout(room.restoreTimeout);
     room.phase = 'lobby';
-    room.raceStartedAt = null;
+    room.goAt = null;
+    room.pausedAt = null;
+    room.restoreTimeout = null;
     room.finishedCount = 0;
     room.firstFinishTimeout = null;
+    room.lastChanceEndsAt = null;
+    room.results = null;
+    room.replayId = null;
+    room.teams = null;
+    room.teamsFinished = 0;
+    room.teamResults = null;
+
+    // A finished championship makes way for a new one; otherwise standings carry over
+    if (room.championship.round >= room.settings.rounds) room.championship = createChampionship();
+
+    // Drivers who dropped mid-race and never came back give up their seat
+    for (const player of [...room.players.values()]) {
+      if (player.disconnected && !player.releaseTimer) room.players.delete(player.socketId);
+    }
+
+    // Spectators waiting for a seat move into the driver list
+    for (const spectator of [...room.spectators.values()]) {
+      if (spectator.wantsToDrive && !spectator.disconnected && room.players.size < room.settings.maxDrivers) {
+        promoteSpectator(room, spectator);
+      }
+    }
 
     for (const player of room.players.values()) {
       player.progress = 0;
       player.clickCount = 0;
       player.lastClickTime = 0;
+      player.clickTimeline = [];
+      player.car = createCarState();
+      player.lapTimes = [];
+      player.modeState = null;
+      player.legTarget = null;
+      player.legStartedAt = null;
+      player.relayLocked = false;
+      player.items = createItemState();
+      player.clickMonitor = createClickMonitor();
+      player.flags = [];
+      player.disqualified = false;
+      player.penaltyUntil = null;
+      if (player.bot) player.bot.nextClickAt = 0;
       player.finishedAt = null;
       player.rank = null;
       player.dnf = false;
-      player.disconnected = false;
+      player.ready = false;
     }
 
     io.to(roomCode).emit('room-reset', {
       players: [...room.players.values()].map(serializePlayer),
+      spectators: [...room.spectators.values()].map(serializeSpectator),
       hostId: room.hostSocketId,
+      championship: serializeChampionship(room),
     });
+    startLobbyTimer(room);
+    updateListing(room);
   });
 
-  // ── Leave room ───────────────────────────────────────────────────────────────
-  socket.on('leave-room', () => {
+  // ── Leave room ─────────────────────────────────────────────────────────────
+  onRoomEvent('leave-room', (socket) => {
     handleDisconnect(socket);
   });
 
-  // ── Disconnect ───────────────────────────────────────────────────────────────
-  socket.on('disconnect', () => {
-    handleDisconnect(socket);
+  // ── Disconnect ─────────────────────────────────────────────────────────────
+  onRoomEvent('disconnect', (socket) => {
+    handleDisconnect(socket, { keepSeat: true });
   });
-});
 
-// ─── Static serving ───────────────────────────────────────────────────────────
+  // ─── Event routing ─────────────────────────────────────────────────────────
 
-app.use(express.static(path.join(__dirname, 'public')));
+  // The room an event is for: the code it names, else the room the socket is
+  // in (leave-room and disconnects carry no code)
+  function roomCodeFor(socket, payload) {
+    const named = payload && (payload.roomCode || payload.code);
+    if (typeof named === 'string') return named.toUpperCase();
+    return [...socket.rooms].find(r => r !== socket.id) || null;
+  }
+
+  // Runs the event here when this instance owns the room (or nobody does, so
+  // the handler can answer "not found"), otherwise forwards it to the owner
+  async function dispatchRoomEvent(socket, event, payload) {
+    const code = event === 'create-room' ? null : roomCodeFor(socket, payload);
+    const owner = code && !rooms.has(code) ? await store.ownerOf(code) : null;
+    if (owner && owner !== INSTANCE_ID) {
+      io.serverSideEmit('room-event', { owner, event, socketId: socket.id, payload });
+      return;
+    }
+    await roomEvents.get(event)(clientHandle(socket.id), payload);
+  }
+
+  // Events forwarded by the instance holding the client's socket
+  io.on('room-event', ({ owner, event, socketId, payload }) => {
+    if (owner !== INSTANCE_ID || !roomEvents.has(event)) return;
+    Promise.resolve(roomEvents.get(event)(clientHandle(socketId), payload))
+      .catch(err => console.error(`Forwarded ${event} failed:`, err));
+  });
+
+  io.on('connection', (socket) => {
+    // Clock sync: the client times the round trip and takes the server clock
+    // as read halfway through it. Answered by whichever instance holds the
+    // socket; instances are expected to keep their clocks in sync (NTP).
+    socket.on('clock-ping', ({ clientSentAt } = {}) => {
+      socket.emit('clock-pong', { clientSentAt, serverTime: clock.now() });
+    });
+    socket.on('quick-play', (payload = {}) => {
+      quickPlay(socket, payload).catch(err => console.error('quick-play failed:', err));
+    });
+    for (const event of roomEvents.keys()) {
+      if (event === 'disconnect') continue;
+      socket.on(event, (payload = {}) => {
+        dispatchRoomEvent(socket, event, payload).catch(err => console.error(`${event} failed:`, err));
+      });
+    }
+    // socket.rooms is already empty on 'disconnect', so route while it's known
+    socket.on('disconnecting', () => {
+      dispatchRoomEvent(socket, 'disconnect', {}).catch(err => console.error('disconnect failed:', err));
+    });
+  });
+
+  // ─── Static serving ────────────────────────────────────────────────────────
+
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', instance: INSTANCE_ID, rooms: rooms.size, uptime: Math.round(process.uptime()) });
+  });
+
+  // ─── Leaderboard API ───────────────────────────────────────────────────────
+
+  function distanceParam(req) {
+    return parseInt(req.query.distance, 10) || DEFAULT_SETTINGS.clicksToFinish;
+  }
+
+  function modeParam(req) {
+    return Object.prototype.hasOwnProperty.call(GAME_MODES, req.query.mode) ? req.query.mode : DEFAULT_MODE;
+  }
+
+  app.get('/api/leaderboard', (req, res) => {
+    res.json({ entries: leaderboard.top({ distance: distanceParam(req), mode: modeParam(req), limit: req.query.limit }) });
+  });
+
+  app.get('/api/leaderboard/cars/:model', (req, res) => {
+    const { model } = req.params;
+    if (!CAR_MODELS.includes(model)) return res.status(404).json({ error: 'Unknown car model.' });
+    res.json({ carModel: model, entries: leaderboard.top({ carModel: model, distance: distanceParam(req), mode: modeParam(req), limit: req.query.limit }) });
+  });
+
+  app.get('/api/leaderboard/days/:day', (req, res) => {
+    const day = req.params.day === 'today' ? dayKey(clock.now()) : req.params.day;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return res.status(400).json({ error: 'Use a YYYY-MM-DD date or "today".' });
+    res.json({ day, entries: leaderboard.top({ day, distance: distanceParam(req), mode: modeParam(req), limit: req.query.limit }) });
+  });
+
+  // ─── Cars API ──────────────────────────────────────────────────────────────
+
+  app.get('/api/cars', (req, res) => {
+    res.json({ cars: CAR_MODELS.map(publicProfile) });
+  });
+
+  // ─── Replay API ────────────────────────────────────────────────────────────
+
+  app.get('/api/replays/:id', async (req, res, next) => {
+    try {
+      const replay = await store.getReplay(req.params.id);
+      if (!replay) return res.status(404).json({ error: 'Replay not found. Only recent races are kept.' });
+      if (req.query.download) res.attachment(`mercedes-race-replay-${replay.id}.json`);
+      res.json(replay);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ─── Public rooms API ──────────────────────────────────────────────────────
+
+  app.get('/api/rooms', (req, res) => {
+    listOpenRooms()
+      .then(listings => res.json({ rooms: listings }))
+      .catch(err => {
+        console.error('Failed to list public rooms:', err.message);
+        res.status(503).json({ error: 'The room list is unavailable right now.' });
+      });
+  });
+
+  // ─── Admin API ─────────────────────────────────────────────────────────────
+  // For whoever runs the booth: see this instance's rooms, end stuck races,
+  // kick drivers and close rooms. Every route wants ADMIN_TOKEN as a bearer
+  // token. With several instances each one only sees the rooms it owns.
+
+  const ADMIN_KICK_REASON = 'You were removed from the room by the organisers.';
+  const ADMIN_CLOSE_REASON = 'This room was closed by the organisers.';
+
+  // Compares digests so the check takes the same time whatever the input
+  function isAdminToken(token) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(token), digest(config.adminToken));
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!config.adminToken) return res.status(404).json({ error: 'The admin API is not enabled.' });
+    const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    if (!match || !isAdminToken(match[1])) return res.status(401).json({ error: 'A valid admin token is required.' });
+    next();
+  }
+
+  function adminRoom(req, res) {
+    const room = rooms.get(req.params.code.toUpperCase());
+    if (!room) res.status(404).json({ error: 'No room with that code on this instance.' });
+    return room;
+  }
+
+  function summarizeRoom(room, now) {
+    const players = [...room.players.values()];
+    const host = room.players.get(room.hostSocketId);
+    return {
+      code: room.code,
+      phase: room.phase,
+      mode: room.settings.mode,
+      host: host ? host.name : null,
+      drivers: players.filter(isHuman).length,
+      bots: players.filter(p => p.bot).length,
+      spectators: room.spectators.size,
+      disconnected: players.filter(p => p.disconnected).length,
+      ageMs: now - room.createdAt,
+      raceMs: room.phase === 'racing' ? now - room.goAt : null,
+    };
+  }
+
+  const admin = express.Router();
+  admin.use(requireAdmin);
+
+  admin.get('/rooms', (req, res) => {
+    const now = clock.now();
+    res.json({ instance: INSTANCE_ID, rooms: [...rooms.values()].map(room => summarizeRoom(room, now)) });
+  });
+
+  admin.get('/rooms/:code', (req, res) => {
+    const room = adminRoom(req, res);
+    if (!room) return;
+    res.json({
+      ...summarizeRoom(room, clock.now()),
+      settings: room.settings,
+      players: [...room.players.values()].map(p => ({
+        ...serializePlayer(p),
+        isHost: p.socketId === room.hostSocketId,
+        finishTime: finishTimeOf(room, p),
+      })),
+      spectators: [...room.spectators.values()].map(serializeSpectator),
+    });
+  });
+
+  admin.post('/rooms/:code/end-race', (req, res) => {
+    const room = adminRoom(req, res);
+    if (!room) return;
+    if (room.phase !== 'racing') return res.status(409).json({ error: 'This room is not racing.' });
+    endRace(room, room.code);
+    res.json({ ok: true });
+  });
+
+  admin.delete('/rooms/:code/members/:socketId', (req, res) => {
+    const room = adminRoom(req, res);
+    if (!room) return;
+    if (!kickMember(room, req.params.socketId, ADMIN_KICK_REASON)) {
+      return res.status(404).json({ error: 'No driver or spectator with that id in this room.' });
+    }
+    res.json({ ok: true });
+  });
+
+  admin.delete('/rooms/:code', (req, res) => {
+    const room = adminRoom(req, res);
+    if (!room) return;
+    closeRoom(room, ADMIN_CLOSE_REASON);
+    res.json({ ok: true });
+  });
+
+  app.use('/api/admin', admin);
+
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+  });
+
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  });
+
+  // ─── Room TTL cleanup (every 5 min, delete rooms older than 2h) ────────────
+
+  function expireRooms() {
+    const TWO_HOURS = 2 * 60 * 60 * 1000;
+    for (const [, room] of rooms) {
+      if (clock.now() - room.createdAt > TWO_HOURS) {
+        closeRoom(room, 'This room has expired.');
+      }
+    }
+  }
+
+  // ─── Room claims (every 10s, keep this instance's rooms routed here) ───────
+
+  function renewRoomClaims() {
+    store.renewRooms(INSTANCE_ID, [...rooms.keys()])
+      .catch(err => console.error('Failed to renew room claims:', err.message));
+  }
+
+  // ─── Shutdown and restore ──────────────────────────────────────────────────
+  // On shutdown (SIGTERM/SIGINT when run directly) the server stops creating
+  // rooms, warns the clients in its rooms and writes every room it owns to
+  // disk. On boot those rooms come back with every member disconnected until
+  // they rejoin with their session; a race stays paused until its first driver
+  // is back, then carries on as if no time had passed.
+
+  const ROOMS_SNAPSHOT_FILE = config.roomsSnapshotFile;   // null: rooms aren't saved
+  const RESTORE_GRACE_MS = 60 * 1000;           // how long restored seats wait for their owners
+  const SNAPSHOT_MAX_AGE_MS = 10 * 60 * 1000;   // older snapshots are stale and skipped
+
+  let shuttingDown = false;
+
+  // Timers can't be saved; restoreRoom starts fresh ones
+  function snapshotRoom(room) {
+    const withoutTimer = member => ({ ...member, releaseTimer: null });
+    return {
+      ...room,
+      ticks: null,
+      raceTimeout: null,
+      firstFinishTimeout: null,
+      restoreTimeout: null,
+      autoStart: null,
+      autoStartTimeout: null,
+      listed: false,
+      players: [...room.players.values()].map(withoutTimer),
+      spectators: [...room.spectators.values()].map(withoutTimer),
+      championship: { ...room.championship, standings: [...room.championship.standings] },
+      teams: room.teams && room.teams.map(t => ({ ...t, members: t.members.map(p => p.socketId) })),
+    };
+  }
+
+  function restoreRoom(data, savedAt) {
+    const room = {
+      locked: false,
+      bans: { sessions: [], names: [] },
+      chat: [],
+      ...data,
+      players: new Map(data.players.map(p => [p.socketId, p])),
+      spectators: new Map(data.spectators.map(s => [s.socketId, s])),
+      championship: { ...data.championship, standings: new Map(data.championship.standings) },
+    };
+    room.teams = data.teams && data.teams.map(t => ({
+      ...t,
+      members: t.members.map(id => room.players.get(id)).filter(Boolean),
+    }));
+
+    // Nobody is connected yet: hold every human seat like a dropped connection
+    for (const spectator of room.spectators.values()) {
+      spectator.disconnected = true;
+      spectator.releaseTimer = clock.setTimeout(() => {
+        if (spectator.disconnected) removeSpectator(room, spectator.socketId);
+      }, RESTORE_GRACE_MS);
+    }
+    for (const player of room.players.values()) {
+      if (!isHuman(player)) continue;
+      if (room.phase === 'racing') {
+        holdRacingSeat(room, player, RESTORE_GRACE_MS);
+        continue;
+      }
+      player.disconnected = true;
+      player.releaseTimer = clock.setTimeout(() => {
+        if (player.disconnected && room.players.get(player.socketId) === player) removePlayer(room, player.socketId);
+      }, RESTORE_GRACE_MS);
+    }
+
+    // The lobby timer, like a race, carries on where it left off
+    if (room.lobbyDeadline) room.lobbyDeadline += clock.now() - savedAt;
+    if (room.phase === 'racing') {
+      room.pausedAt = data.pausedAt || savedAt;
+      room.restoreTimeout = clock.setTimeout(() => {
+        if (room.pausedAt) closeRoom(room, 'Nobody made it back to this race after the server restarted.');
+      }, RESTORE_GRACE_MS);
+    }
+    return room;
+  }
+
+  // Moves every race timestamp forward by ms, as if the race had been paused
+  function shiftRaceTimes(room, ms) {
+    const shift = t => (t ? t + ms : t);
+    const mode = GAME_MODES[room.settings.mode];
+    room.goAt += ms;
+    room.lastChanceEndsAt = shift(room.lastChanceEndsAt);
+    for (const player of room.players.values()) {
+      player.lastClickTime = shift(player.lastClickTime);
+      player.clickTimeline = player.clickTimeline.map(t => t + ms);
+      player.car.movedAt = shift(player.car.movedAt);
+      player.car.splits = player.car.splits.map(t => t + ms);
+      player.finishedAt = shift(player.finishedAt);
+      player.legStartedAt = shift(player.legStartedAt);
+      player.penaltyUntil = shift(player.penaltyUntil);
+      for (const field of [...Object.values(ITEM_EFFECTS), 'useAt']) player.items[field] = shift(player.items[field]);
+      if (player.bot) player.bot.nextClickAt = shift(player.bot.nextClickAt);
+      if (player.modeState && mode.shiftState) mode.shiftState(player.modeState, ms);
+    }
+    if (room.teams) room.teams.forEach(team => { team.finishedAt = shift(team.finishedAt); });
+  }
+
+  // A restored race picks up where it stopped once a driver is back
+  function resumeRestoredRace(room) {
+    clock.clearTimeout(room.restoreTimeout);
+    room.restoreTimeout = null;
+    shiftRaceTimes(room, clock.now() - room.pausedAt);
+    room.pausedAt = null;
+    startRaceTimers(room);
+  }
 
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', rooms: rooms.size, uptime: Math.round(process.uptime()) });
-});
+  function writeRoomsSnapshot() {
+    if (!ROOMS_SNAPSHOT_FILE) return;
+    const snapshot = { savedAt: clock.now(), rooms: [...rooms.values()].map(snapshotRoom) };
+    fs.mkdirSync(path.dirname(ROOMS_SNAPSHOT_FILE), { recursive: true });
+    // Write then rename, so a kill mid-write can't leave half a snapshot behind
+    const tmp = ROOMS_SNAPSHOT_FILE + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(snapshot));
+    fs.renameSync(tmp, ROOMS_SNAPSHOT_FILE);
+  }
+
+  async function restoreRooms() {
+    if (!ROOMS_SNAPSHOT_FILE) return;
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(ROOMS_SNAPSHOT_FILE, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Ignoring unreadable room snapshot:', err.message);
+      return;
+    }
+    // Restore once: a crash loop must not bring the same rooms back forever
+    fs.rmSync(ROOMS_SNAPSHOT_FILE, { force: true });
+    if (clock.now() - snapshot.savedAt > SNAPSHOT_MAX_AGE_MS) return;
 
-app.get('*', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+    let restored = 0;
+    for (const data of snapshot.rooms) {
+      // Another instance may have taken the code while this one was down
+      if (!(await store.claimRoom(data.code, INSTANCE_ID))) continue;
+      const room = restoreRoom(data, snapshot.savedAt);
+      rooms.set(room.code, room);
+      updateListing(room);
+      refreshAutoStart(room);
+      // Clients still connected to another instance rejoin straight away
+      io.to(room.code).emit('room-restored', { code: room.code });
+      restored++;
+    }
+    console.log(`Restored ${restored} room${restored === 1 ? '' : 's'} from ${ROOMS_SNAPSHOT_FILE}`);
+  }
 
-// ─── Room TTL cleanup (every 5 min, delete rooms older than 2h) ───────────────
+  // Resolves once the server is closed; exiting is up to the caller
+  async function shutdown(reason = 'shutdown') {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`Shutting down (${reason}) with ${rooms.size} room${rooms.size === 1 ? '' : 's'}`);
+    housekeepingTimers.forEach(timer => clock.clearInterval(timer));
 
-setInterval(() => {
-  const TWO_HOURS = 2 * 60 * 60 * 1000;
-  for (const [code, room] of rooms) {
-    if (Date.now() - room.createdAt > TWO_HOURS) {
-      clearInterval(room.broadcastInterval);
-      clearTimeout(room.raceTimeout);
-      rooms.delete(code);
+    for (const room of rooms.values()) {
+      io.to(room.code).emit('server-restarting', { reason: 'The server is restarting. Hang on, you will be reconnected.' });
+      stopRaceTicks(room);
+      clock.clearTimeout(room.raceTimeout);
+      clock.clearTimeout(room.firstFinishTimeout);
+      clock.clearTimeout(room.restoreTimeout);
+      clock.clearTimeout(room.autoStartTimeout);
+      for (const member of [...room.players.values(), ...room.spectators.values()]) clock.clearTimeout(member.releaseTimer);
     }
+    try {
+      writeRoomsSnapshot();
+    } catch (err) {
+      console.error('Failed to save rooms:', err.message);
+    }
+    // Let the restarted instance (or any other) claim the codes again
+    await Promise.all([...rooms.keys()].map(code => store.releaseRoom(code, INSTANCE_ID)))
+      .catch(err => console.error('Failed to release rooms:', err.message));
+
+    // io.close() drops whatever is still buffered, warning included, so first
+    // close each connection once it has drained. Clients see a lost transport
+    // and reconnect on their own, as after any other dropped link.
+    await Promise.all([...io.of('/').sockets.values()]
+      .filter(socket => socket.conn.readyState === 'open')
+      .map(socket => new Promise(resolve => {
+        socket.conn.once('close', resolve);
+        socket.conn.close();
+      })));
+    await new Promise(resolve => io.close(() => resolve()));
+    await Promise.all(redisClients.map(client => client.quit().catch(() => {})));
+  }
+
+  // ─── Start ─────────────────────────────────────────────────────────────────
+
+  const housekeepingTimers = [];
+
+  // Restores any saved rooms, starts the housekeeping timers and listens.
+  // Resolves with the port actually bound, so port 0 picks any free one.
+  async function start(port = config.port) {
+    await restoreRooms().catch(err => console.error('Failed to restore rooms:', err));
+    housekeepingTimers.push(
+      clock.setInterval(expireRooms, 5 * 60 * 1000),
+      clock.setInterval(renewRoomClaims, ROOM_CLAIM_RENEW_MS),
+    );
+    await new Promise(resolve => server.listen(port, resolve));
+    return server.address().port;
   }
-}, 5 * 60 * 1000);
 
-// ─── Start ────────────────────────────────────────────────────────────────────
+  return { app, server, io, store, rooms, config, clock, start, shutdown };
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+// `node server.js` runs one instance from the environment and exits once its
+// rooms are saved on SIGTERM/SIGINT.
+
+const SHUTDOWN_TIMEOUT_MS = 5000;
+
+if (require.main === module) {
+  const game = createGameServer();
+  game.start().then(port => {
+    console.log(`Mercedes Race server running on http://localhost:${port}`);
+  });
+
+  const stop = signal => {
+    setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+    game.shutdown(signal).then(() => process.exit(0));
+  };
+  process.on('SIGTERM', () => stop('SIGTERM'));
+  process.on('SIGINT', () => stop('SIGINT'));
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Mercedes Race server running on http://localhost:${PORT}`);
-});
+module.exports = { createGameServer, configFromEnv };
@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, createRoom, joinRoom, startRace } = require('./helpers');
+
+const TOKEN = 'test-admin-token';
+
+function adminApi(port, token = TOKEN) {
+  return (method, route) => fetch(`http://localhost:${port}/api/admin${route}`, {
+    method,
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+  }).then(async res => ({ status: res.status, body: await res.json() }));
+}
+
+test('the admin API is off without a token and refuses bad ones', async () => {
+  const off = await startGame();
+  const on = await startGame({ config: { adminToken: TOKEN } });
+  try {
+    assert.strictEqual((await adminApi(off.port)('GET', '/rooms')).status, 404);
+    assert.strictEqual((await adminApi(on.port, null)('GET', '/rooms')).status, 401);
+    assert.strictEqual((await adminApi(on.port, 'wrong')('GET', '/rooms')).status, 401);
+    assert.strictEqual((await adminApi(on.port)('GET', '/rooms')).status, 200);
+  } finally {
+    await off.stop();
+    await on.stop();
+  }
+});
+
+test('organisers can end a race, remove a driver and close a room', async () => {
+  const harness = await startGame({ config: { adminToken: TOKEN } });
+  const api = adminApi(harness.port);
+  try {
+    const { host: ann, code } = await createRoom(harness.connect, 'Ann');
+    const { socket: bob } = await joinRoom(harness.connect, code, 'Bob');
+    await startRace(harness, ann, code);
+    harness.clock.advance(1500);
+
+    const { body: list } = await api('GET', '/rooms');
+    assert.deepStrictEqual(list.rooms.map(r => [r.code, r.phase, r.drivers, r.raceMs]), [[code, 'racing', 2, 1500]]);
+
+    const kicked = once(bob, 'kicked');
+    assert.strictEqual((await api('DELETE', `/rooms/${code}/members/${bob.id}`)).status, 200);
+    assert.match((await kicked).reason, /organisers/);
+
+    const finished = once(ann, 'race-finished');
+    assert.strictEqual((await api('POST', `/rooms/${code}/end-race`)).status, 200);
+    await finished;
+    assert.strictEqual((await api('POST', `/rooms/${code}/end-race`)).status, 409);
+
+    const closed = once(ann, 'room-closed');
+    assert.strictEqual((await api('DELETE', `/rooms/${code}`)).status, 200);
+    await closed;
+    assert.strictEqual((await api('GET', `/rooms/${code}`)).status, 404);
+  } finally {
+    await harness.stop();
+  }
+});
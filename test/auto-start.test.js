@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, createRoom, joinRoom } = require('./helpers');
+
+test('the race starts itself a few seconds after everyone is ready', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    const room = game.rooms.get(code);
+
+    ann.emit('set-ready', { roomCode: code, ready: true });
+    await settle(ann);
+    assert.strictEqual(room.autoStart, null);
+
+    const counting = once(ann, 'auto-start');
+    bob.emit('set-ready', { roomCode: code, ready: true });
+    const { autoStart } = await counting;
+    assert.deepStrictEqual(autoStart, { reason: 'ready', startsAt: clock.now() + 5000 });
+
+    // Bob changes his mind, which calls it off
+    const cancelled = once(ann, 'auto-start');
+    bob.emit('set-ready', { roomCode: code, ready: false });
+    assert.deepStrictEqual(await cancelled, { autoStart: null });
+    clock.advance(5000);
+    assert.strictEqual(room.phase, 'lobby');
+
+    bob.emit('set-ready', { roomCode: code, ready: true });
+    await settle(bob);
+    const started = once(ann, 'race-started');
+    clock.advance(5000);
+    await started;
+    assert.strictEqual(room.phase, 'racing');
+
+    // Ready states are for one race only
+    ann.emit('reset-room', { roomCode: code });
+    const { players } = await once(bob, 'room-reset');
+    assert.deepStrictEqual(players.map(p => p.ready), [false, false]);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test("the host's lobby timer starts the race whoever is ready", async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    await joinRoom(connect, code, 'Bob');
+    const counting = once(ann, 'auto-start');
+    ann.emit('update-settings', { roomCode: code, settings: { lobbyTimerMs: 60000 } });
+    assert.deepStrictEqual((await counting).autoStart, { reason: 'timer', startsAt: clock.now() + 60000 });
+
+    clock.advance(59999);
+    assert.strictEqual(game.rooms.get(code).phase, 'lobby');
+    const started = once(ann, 'race-started');
+    clock.advance(1);
+    await started;
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('a dropped driver does not hold up everyone else', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    ann.emit('set-ready', { roomCode: code, ready: true });
+    await settle(ann);
+
+    const counting = once(ann, 'auto-start');
+    bob.disconnect();
+    assert.strictEqual((await counting).autoStart.reason, 'ready');
+    assert.strictEqual(game.rooms.get(code).players.size, 2);
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, waitFor, createRoom, startRace } = require('./helpers');
+
+test('a CPU driver races to the line on the race clock', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { clicksToFinish: 10 });
+    ann.emit('add-bot', { roomCode: code, difficulty: 'legend' });
+    const { player: bot } = await once(ann, 'player-joined');
+    assert.strictEqual(bot.isBot, true);
+    assert.strictEqual(bot.difficulty, 'legend');
+
+    ann.emit('start-race', { roomCode: code });
+    await once(ann, 'race-started');
+    const finished = once(ann, 'race-finished');
+    clock.advance(30000);
+    const { results } = await finished;
+    assert.deepStrictEqual(results.map(r => [r.name, r.rank, r.dnf]), [
+      [bot.name, 1, false],
+      ['Ann', 2, true],
+    ]);
+    assert.ok(game.rooms.get(code).players.get(bot.socketId).clickTimeline.length >= 10);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('CPU drivers alone do not keep a room open', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    ann.emit('add-bot', { roomCode: code, difficulty: 'rookie' });
+    await once(ann, 'player-joined');
+
+    ann.emit('leave-room');
+    await waitFor(() => !game.rooms.has(code));
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('a CPU driver taken out mid-race stops driving', async () => {
+  const harness = await startGame({ config: { adminToken: 'test-admin-token' } });
+  const { game, clock, connect, port } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    ann.emit('add-bot', { roomCode: code, difficulty: 'legend' });
+    const { player } = await once(ann, 'player-joined');
+    await startRace(harness, ann, code);
+    clock.advance(2000);
+    const bot = game.rooms.get(code).players.get(player.socketId);
+    assert.ok(bot.car.distance > 0);
+
+    const res = await fetch(`http://localhost:${port}/api/admin/rooms/${code}/members/${bot.socketId}`, {
+      method: 'DELETE',
+      headers: { authorization: 'Bearer test-admin-token' },
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(bot.disconnected, true);
+    const clicks = bot.clickTimeline.length;
+    clock.advance(5000);
+    assert.strictEqual(bot.clickTimeline.length, clicks);
+  } finally {
+    await harness.stop();
+  }
+});
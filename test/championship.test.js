@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, createRoom, joinRoom, startRace, driveHome } = require('./helpers');
+
+test('drivers level on points are split by their best finish', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    // Equal points for both places, so only the count-back can split them;
+    // by name Amy would come first
+    const { host: zed, code } = await createRoom(connect, 'Zed', { clicksToFinish: 10, rounds: 2, pointsScale: [10, 10] });
+    const { socket: amy } = await joinRoom(connect, code, 'Amy');
+    const room = game.rooms.get(code);
+    await startRace(harness, zed, code);
+
+    const finished = once(zed, 'race-finished');
+    await driveHome(harness, zed, code, room.players.get(zed.id));
+    await driveHome(harness, amy, code, room.players.get(amy.id));
+    const { championship } = await finished;
+
+    assert.strictEqual(championship.round, 1);
+    assert.strictEqual(championship.complete, false);
+    assert.deepStrictEqual(
+      championship.standings.map(s => [s.rank, s.name, s.points, s.bestFinish]),
+      [[1, 'Zed', 10, 1], [2, 'Amy', 10, 2]],
+    );
+
+    // The standings carry over into the next round
+    zed.emit('reset-room', { roomCode: code });
+    const reset = await once(zed, 'room-reset');
+    assert.strictEqual(reset.championship.round, 1);
+    assert.deepStrictEqual(reset.championship.standings.map(s => s.name), ['Zed', 'Amy']);
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, createRoom, startRace } = require('./helpers');
+
+// The server's verdict on a charge release, whichever way it goes
+function verdict(socket) {
+  return Promise.race([
+    once(socket, 'click-judged'),
+    once(socket, 'click-rejected').then(({ reason }) => ({ rejected: reason })),
+  ]);
+}
+
+test('a release straight after the press still ends that charge', async () => {
+  const harness = await startGame();
+  const { clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { mode: 'charge' });
+    await startRace(harness, ann, code);
+
+    // Down and up inside the click throttle
+    ann.emit('click', { roomCode: code, action: 'down' });
+    await settle(ann);
+    clock.advance(10);
+    const tooShort = verdict(ann);
+    ann.emit('click', { roomCode: code, action: 'up' });
+    assert.deepStrictEqual(await tooShort, { rejected: 'too-short' });
+
+    // A later short hold is timed from its own press, not the first one
+    clock.advance(1000);
+    ann.emit('click', { roomCode: code, action: 'down' });
+    await settle(ann);
+    clock.advance(250);
+    const judged = verdict(ann);
+    ann.emit('click', { roomCode: code, action: 'up' });
+    assert.deepStrictEqual(await judged, { judgement: 'partial', clicks: 2 });
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, createRoom, joinRoom, startRace } = require('./helpers');
+
+test('chat is rate limited per member over a sliding window', async () => {
+  const harness = await startGame();
+  const { clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    const seen = [];
+    bob.on('chat-message', message => seen.push(message.text));
+
+    for (let i = 1; i <= 5; i++) {
+      ann.emit('chat-message', { roomCode: code, text: `hello ${i}` });
+      await settle(ann);
+      clock.advance(1000);
+    }
+    const tooFast = once(ann, 'chat-error');
+    ann.emit('chat-message', { roomCode: code, text: 'hello 6' });
+    assert.strictEqual((await tooFast).reason, 'You are sending messages too quickly.');
+
+    // Bob has his own allowance
+    bob.emit('chat-message', { roomCode: code, text: 'hi Ann' });
+    await settle(bob);
+
+    // Ten seconds after her first message, Ann has room for one more
+    clock.advance(5000);
+    ann.emit('chat-message', { roomCode: code, text: 'hello 7' });
+    await settle(ann);
+    await settle(bob);
+    assert.deepStrictEqual(seen, ['hello 1', 'hello 2', 'hello 3', 'hello 4', 'hello 5', 'hi Ann', 'hello 7']);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('messages are trimmed, length-capped and word-filtered', async () => {
+  const harness = await startGame();
+  const { connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const said = once(ann, 'chat-message');
+    ann.emit('chat-message', { roomCode: code, text: '  what   the shit <b>' + 'x'.repeat(200) });
+    const { name, text } = await said;
+    assert.strictEqual(name, 'Ann');
+    assert.ok(text.startsWith('what the **** b'));
+    assert.ok(text.length <= 140);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('the host can turn chat off', async () => {
+  const harness = await startGame();
+  const { connect } = harness;
+  try {
+    const { code } = await createRoom(connect, 'Ann', { chat: false });
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    bob.emit('chat-message', { roomCode: code, text: 'anyone?' });
+    assert.strictEqual((await once(bob, 'chat-error')).reason, 'The host has turned chat off.');
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('drivers react mid-race with a few emoji, not too often', async () => {
+  const harness = await startGame();
+  const { clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    await startRace(harness, ann, code);
+    const reactions = [];
+    ann.on('reaction', ({ emoji }) => reactions.push(emoji));
+
+    for (const emoji of ['🔥', '💩', '👍', '😂', '👋']) ann.emit('reaction', { roomCode: code, emoji });
+    await settle(ann);
+    clock.advance(2000);
+    ann.emit('reaction', { roomCode: code, emoji: '🏁' });
+    await settle(ann);
+    assert.deepStrictEqual(reactions, ['🔥', '👍', '😂', '🏁']);
+
+    // Text chat waits until the race is over
+    ann.emit('chat-message', { roomCode: code, text: 'go go go' });
+    await settle(ann);
+    assert.strictEqual(harness.game.rooms.get(code).chat.length, 0);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('the word filter leaves names and longer words alone', async () => {
+  const harness = await startGame();
+  const { connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: turpin } = await joinRoom(connect, code, 'Dick  Turpin');
+    const said = once(ann, 'chat-message');
+    turpin.emit('chat-message', { roomCode: code, text: 'Dick   here, with shitake from Scunthorpe. fucking great' });
+    const { name, text } = await said;
+    assert.strictEqual(name, 'Dick  Turpin', 'names keep their spacing');
+    assert.strictEqual(text, 'Dick here, with shitake from Scunthorpe. ******* great');
+  } finally {
+    await harness.stop();
+  }
+});
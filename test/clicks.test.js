@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, createRoom, startRace, drive } = require('./helpers');
+
+test('the server only counts keys that alternate', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    await startRace(harness, ann, code);
+    const annPlayer = game.rooms.get(code).players.get(ann.id);
+
+    ann.emit('click', { roomCode: code, key: 'a' });
+    await settle(ann);
+    clock.advance(100);
+    const rejected = once(ann, 'click-rejected');
+    ann.emit('click', { roomCode: code, key: 'a' });
+    assert.deepStrictEqual(await rejected, { reason: 'wrong-key', modeState: { nextKey: 'b' } });
+
+    clock.advance(100);
+    ann.emit('click', { roomCode: code, key: 'b' });
+    await settle(ann);
+    assert.strictEqual(annPlayer.clickCount, 2);
+
+    // Clicks inside the throttle are dropped whatever the key
+    ann.emit('click', { roomCode: code, key: 'a' });
+    await settle(ann);
+    assert.strictEqual(annPlayer.clickCount, 2);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('machine-steady clicking is flagged, then disqualified', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { clicksToFinish: 1000 });
+    await startRace(harness, ann, code);
+    const annPlayer = game.rooms.get(code).players.get(ann.id);
+    const flags = [];
+    ann.on('player-flagged', flag => flags.push(flag));
+
+    const finished = once(ann, 'race-finished');
+    for (let i = 0; i < 41; i++) {
+      ann.emit('click', { roomCode: code, key: i % 2 ? 'b' : 'a' });
+      await settle(ann);
+      clock.advance(100);
+    }
+
+    assert.deepStrictEqual(flags.map(f => [f.reason, f.disqualified]), [
+      ['steady-rhythm', false],
+      ['steady-rhythm', true],
+    ]);
+    assert.strictEqual(annPlayer.disqualified, true);
+    const { results } = await finished;
+    assert.deepStrictEqual(results[0].flags, ['steady-rhythm']);
+    assert.strictEqual(results[0].disqualified, true);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('clicking like a person is never flagged', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { clicksToFinish: 1000 });
+    await startRace(harness, ann, code);
+    await drive(harness, ann, code, 60);
+    const annPlayer = game.rooms.get(code).players.get(ann.id);
+    assert.deepStrictEqual(annPlayer.flags, []);
+    assert.strictEqual(annPlayer.clickCount, 60);
+  } finally {
+    await harness.stop();
+  }
+});
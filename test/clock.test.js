@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createManualClock, systemClock } = require('../clock');
+
+test('the manual clock only moves when advanced', () => {
+  const clock = createManualClock(500);
+  assert.strictEqual(clock.now(), 500);
+  clock.advance(250);
+  assert.strictEqual(clock.now(), 750);
+});
+
+test('due timers fire in order, each seeing its own due time', () => {
+  const clock = createManualClock(0);
+  const fired = [];
+  clock.setTimeout(() => fired.push(['late', clock.now()]), 300);
+  clock.setTimeout(() => fired.push(['early', clock.now()]), 100);
+  clock.setTimeout(() => fired.push(['tie', clock.now()]), 100);
+  clock.setTimeout(() => fired.push(['later', clock.now()]), 1000);
+
+  clock.advance(500);
+  assert.deepStrictEqual(fired, [['early', 100], ['tie', 100], ['late', 300]]);
+  assert.strictEqual(clock.now(), 500);
+  assert.strictEqual(clock.pendingTimers(), 1);
+});
+
+test('intervals repeat until cleared, and a timer can schedule another', () => {
+  const clock = createManualClock(0);
+  const ticks = [];
+  const interval = clock.setInterval(() => ticks.push(clock.now()), 50);
+  clock.setTimeout(() => clock.setTimeout(() => clock.clearInterval(interval), 60), 100);
+
+  clock.advance(400);
+  assert.deepStrictEqual(ticks, [50, 100, 150]);
+  assert.strictEqual(clock.pendingTimers(), 0);
+});
+
+test('a cleared timeout never fires', () => {
+  const clock = createManualClock(0);
+  let fired = false;
+  const handle = clock.setTimeout(() => { fired = true; }, 10);
+  clock.clearTimeout(handle);
+  clock.advance(100);
+  assert.strictEqual(fired, false);
+});
+
+test('the system clock reads the wall clock', () => {
+  const before = Date.now();
+  const now = systemClock.now();
+  assert.ok(now >= before && now <= Date.now());
+});
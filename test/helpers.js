@@ -0,0 +1,118 @@
+'use strict';
+
+// ─── Test harness ────────────────────────────────────────────────────────────
+// A real game server on a free port, driven by a manual clock: clients talk to
+// it over socket.io as the browser does, and race time only moves when a test
+// calls clock.advance().
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io } = require('socket.io-client');
+const { createGameServer } = require('../server');
+const { createManualClock } = require('../clock');
+
+// Several servers can share one clock, e.g. to restart onto a snapshot
+async function startGame({ clock = createManualClock(1000000), config = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mercedes-race-'));
+  const game = createGameServer({
+    clock,
+    config: {
+      instanceId: 'test',
+      leaderboardFile: path.join(dir, 'leaderboard.ndjson'),
+      roomsSnapshotFile: null,
+      ...config,
+    },
+  });
+  const port = await game.start(0);
+  const sockets = [];
+
+  function connect() {
+    const socket = io(`http://localhost:${port}`, { transports: ['websocket'], reconnection: false, forceNew: true });
+    sockets.push(socket);
+    return once(socket, 'connect').then(() => socket);
+  }
+
+  // Shuts the server down first, so a snapshot sees every client still seated,
+  // and lets each client hear out what the server sent before it closed
+  async function stop() {
+    const closed = sockets.filter(socket => socket.connected).map(socket => once(socket, 'disconnect'));
+    await game.shutdown('test');
+    await Promise.all(closed);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { game, clock, port, connect, stop };
+}
+
+function once(socket, event, ms = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), ms);
+    socket.once(event, payload => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+// Resolves once the server has handled everything this socket sent before it:
+// a socket's events are handled in order, so the clock-pong comes after them
+function settle(socket) {
+  socket.emit('clock-ping', { clientSentAt: 0 });
+  return once(socket, 'clock-pong');
+}
+
+// Polls until `check` passes, for effects of a socket closing
+async function waitFor(check, ms = 2000) {
+  const giveUpAt = Date.now() + ms;
+  while (!check()) {
+    if (Date.now() > giveUpAt) throw new Error('Timed out waiting for the server');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function createRoom(connect, name, settings) {
+  const host = await connect();
+  host.emit('create-room', { name, carModel: 'a-class' });
+  const created = await once(host, 'room-created');
+  if (settings) {
+    host.emit('update-settings', { roomCode: created.code, settings });
+    await once(host, 'settings-updated');
+  }
+  return { host, code: created.code, sessionToken: created.sessionToken };
+}
+
+async function joinRoom(connect, code, name) {
+  const socket = await connect();
+  socket.emit('join-room', { code, name, carModel: 'a-class' });
+  const joined = await once(socket, 'room-joined');
+  return { socket, sessionToken: joined.sessionToken };
+}
+
+// Starts the race and runs the clock through the countdown to GO
+async function startRace({ clock }, host, code) {
+  host.emit('start-race', { roomCode: code });
+  const { goAt } = await once(host, 'race-started');
+  clock.advance(goAt - clock.now());
+}
+
+// Uneven gaps, so the click-integrity check sees a person rather than a script
+const HUMAN_GAPS_MS = [70, 95, 120, 80, 105];
+
+// Alternates A and B, stepping the clock past the click throttle each time.
+// Stops early once `until` passes.
+async function drive({ clock }, socket, code, clicks, until = () => false) {
+  for (let i = 0; i < clicks && !until(); i++) {
+    socket.emit('click', { roomCode: code, key: i % 2 ? 'b' : 'a' });
+    await settle(socket);
+    clock.advance(HUMAN_GAPS_MS[i % HUMAN_GAPS_MS.length]);
+  }
+}
+
+// Drives until the server has the player over the line
+async function driveHome(harness, socket, code, player) {
+  await drive(harness, socket, code, 1000, () => player.finishedAt);
+  if (!player.finishedAt) throw new Error(`${player.name} never reached the line`);
+}
+
+module.exports = { startGame, once, settle, waitFor, createRoom, joinRoom, startRace, drive, driveHome };
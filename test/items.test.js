@@ -0,0 +1,37 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, createRoom, startRace, drive } = require('./helpers');
+
+test('driving through an item box fills the slot, and firing it empties it', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { items: true, clicksToFinish: 20 });
+    await startRace(harness, ann, code);
+    const annPlayer = game.rooms.get(code).players.get(ann.id);
+
+    const picked = once(ann, 'item-picked');
+    await drive(harness, ann, code, 20, () => annPlayer.items.held);
+    const { milestone, item } = await picked;
+    assert.strictEqual(milestone, 25);
+    assert.ok(['nitro', 'oil', 'shield'].includes(item));
+
+    const used = once(ann, 'item-used');
+    ann.emit('click', { roomCode: code, action: 'use-item' });
+    const fired = await used;
+    assert.strictEqual(fired.item, item);
+    assert.strictEqual(annPlayer.items.held, null);
+    // Nobody is ahead to slip on oil; the other items run out on the race clock
+    if (item === 'oil') {
+      assert.strictEqual(fired.targetId, null);
+      return;
+    }
+    const ended = once(ann, 'item-effect-ended');
+    clock.advance(fired.durationMs + 50);   // to the next race tick
+    assert.strictEqual((await ended).effect, item);
+  } finally {
+    await harness.stop();
+  }
+});
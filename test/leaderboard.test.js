@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, createRoom, startRace, driveHome } = require('./helpers');
+
+async function raceOnce(harness, host, code) {
+  await startRace(harness, host, code);
+  const finished = once(host, 'race-finished');
+  await driveHome(harness, host, code, harness.game.rooms.get(code).players.get(host.id));
+  return (await finished).results;
+}
+
+test('clean finishes go on the board, and only a faster one is a personal best', async () => {
+  const harness = await startGame();
+  const { clock, connect, port } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { clicksToFinish: 10 });
+    const [first] = await raceOnce(harness, ann, code);
+    assert.strictEqual(first.personalBest, true);
+    assert.strictEqual(first.previousBest, null);
+
+    // The same drive again, but set off late
+    ann.emit('reset-room', { roomCode: code });
+    await once(ann, 'room-reset');
+    ann.emit('start-race', { roomCode: code });
+    const { goAt } = await once(ann, 'race-started');
+    clock.advance(goAt - clock.now() + 1000);
+    const finished = once(ann, 'race-finished');
+    await driveHome(harness, ann, code, harness.game.rooms.get(code).players.get(ann.id));
+    const [second] = (await finished).results;
+    assert.strictEqual(second.personalBest, false);
+    assert.strictEqual(second.previousBest, first.finishTime);
+
+    const { entries } = await (await fetch(`http://localhost:${port}/api/leaderboard?distance=10`)).json();
+    assert.deepStrictEqual(entries.map(e => [e.position, e.name, e.timeMs]), [[1, 'Ann', first.finishTime]]);
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, createRoom, joinRoom } = require('./helpers');
+
+test('a kicked driver is banned by session and by name', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob, sessionToken } = await joinRoom(connect, code, 'Bob');
+    const bobId = bob.id;
+
+    const kicked = once(bob, 'kicked');
+    const left = once(ann, 'player-left');
+    ann.emit('kick-player', { roomCode: code, socketId: bobId });
+    assert.strictEqual((await kicked).reason, 'The host removed you from this room.');
+    assert.strictEqual((await left).socketId, bobId);
+    assert.ok(!game.rooms.get(code).players.has(bobId));
+
+    const back = await connect();
+    back.emit('rejoin-room', { code, sessionToken });
+    assert.strictEqual((await once(back, 'rejoin-failed')).reason, 'The host removed you from this room.');
+    back.emit('join-room', { code, name: ' BOB ' });
+    assert.strictEqual((await once(back, 'join-error')).reason, 'The host removed you from this room.');
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('only the host moderates, and a locked room turns newcomers away', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    const room = game.rooms.get(code);
+
+    bob.emit('kick-player', { roomCode: code, socketId: ann.id });
+    bob.emit('lock-room', { roomCode: code, locked: true });
+    await settle(bob);
+    assert.strictEqual(room.players.size, 2);
+    assert.strictEqual(room.locked, false);
+
+    ann.emit('lock-room', { roomCode: code, locked: true });
+    assert.deepStrictEqual(await once(bob, 'room-locked'), { locked: true });
+    const carl = await connect();
+    carl.emit('join-room', { code, name: 'Carl' });
+    assert.strictEqual((await once(carl, 'join-error')).reason, 'The host has locked this room.');
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('the host can hand the role to another driver', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+
+    const changed = once(bob, 'host-changed');
+    ann.emit('transfer-host', { roomCode: code, socketId: bob.id });
+    assert.deepStrictEqual(await changed, { newHostId: bob.id });
+    assert.strictEqual(game.rooms.get(code).hostSocketId, bob.id);
+
+    // Ann is no longer the host, so her kick is ignored
+    ann.emit('kick-player', { roomCode: code, socketId: bob.id });
+    await settle(ann);
+    assert.ok(game.rooms.get(code).players.has(bob.id));
+  } finally {
+    await harness.stop();
+  }
+});
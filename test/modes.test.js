@@ -0,0 +1,81 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { promptAt } = require('../game-modes');
+const { startGame, once, settle, createRoom } = require('./helpers');
+
+// Creates a room in `mode` and runs it to GO; resolves with Ann's mode state
+async function raceIn(harness, mode) {
+  const { host: ann, code } = await createRoom(harness.connect, 'Ann', { mode });
+  ann.emit('start-race', { roomCode: code });
+  const [{ goAt }, { modeState }] = await Promise.all([once(ann, 'race-started'), once(ann, 'mode-state')]);
+  harness.clock.advance(goAt - harness.clock.now());
+  const player = harness.game.rooms.get(code).players.get(ann.id);
+  return { ann, code, goAt, modeState, player };
+}
+
+test('sequence mode counts only the prompted key', async () => {
+  const harness = await startGame();
+  try {
+    const { ann, code, modeState, player } = await raceIn(harness, 'sequence');
+    const prompt = promptAt(modeState.seed, 0);
+
+    const rejected = once(ann, 'click-rejected');
+    ann.emit('click', { roomCode: code, key: prompt === 'a' ? 's' : 'a' });
+    assert.strictEqual((await rejected).reason, 'wrong-key');
+
+    harness.clock.advance(100);
+    ann.emit('click', { roomCode: code, key: prompt });
+    await settle(ann);
+    assert.strictEqual(player.clickCount, 1);
+    assert.strictEqual(player.modeState.index, 1);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('rhythm mode rewards presses on the beat and punishes mashing', async () => {
+  const harness = await startGame();
+  const { clock } = harness;
+  try {
+    const { ann, code, goAt, player } = await raceIn(harness, 'rhythm');
+
+    clock.advance(goAt + 500 - clock.now());
+    const perfect = once(ann, 'click-judged');
+    ann.emit('click', { roomCode: code });
+    assert.deepStrictEqual(await perfect, { judgement: 'perfect', clicks: 3 });
+
+    // Off the beat, which also costs the next one
+    clock.advance(250);
+    const offBeat = once(ann, 'click-rejected');
+    ann.emit('click', { roomCode: code });
+    assert.strictEqual((await offBeat).reason, 'off-beat');
+    clock.advance(250);
+    const locked = once(ann, 'click-rejected');
+    ann.emit('click', { roomCode: code });
+    assert.strictEqual((await locked).reason, 'locked');
+
+    // Two beats on, and a little late
+    clock.advance(1100);
+    const good = once(ann, 'click-judged');
+    ann.emit('click', { roomCode: code });
+    assert.deepStrictEqual(await good, { judgement: 'good', clicks: 2 });
+    assert.strictEqual(player.clickCount, 5);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('an unknown mode is refused', async () => {
+  const harness = await startGame();
+  try {
+    const { host: ann, code } = await createRoom(harness.connect, 'Ann');
+    ann.emit('update-settings', { roomCode: code, settings: { mode: 'teleport' } });
+    const { reason, settings } = await once(ann, 'settings-error');
+    assert.strictEqual(reason, 'Unknown game mode.');
+    assert.strictEqual(settings.mode, 'alternate');
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, createRoom, joinRoom, startRace } = require('./helpers');
+
+async function openRooms(port) {
+  const { rooms } = await (await fetch(`http://localhost:${port}/api/rooms`)).json();
+  return rooms.map(r => [r.code, r.drivers]);
+}
+
+test('open public lobbies are listed, fullest first, until they close', async () => {
+  const harness = await startGame();
+  const { connect, port } = harness;
+  try {
+    const quiet = await createRoom(connect, 'Ann', { public: true });
+    const busy = await createRoom(connect, 'Bob', { public: true });
+    await joinRoom(connect, busy.code, 'Carl');
+    await createRoom(connect, 'Dee');   // private
+    assert.deepStrictEqual(await openRooms(port), [[busy.code, 2], [quiet.code, 1]]);
+
+    quiet.host.emit('lock-room', { roomCode: quiet.code, locked: true });
+    await once(quiet.host, 'room-locked');
+    await startRace(harness, busy.host, busy.code);
+    assert.deepStrictEqual(await openRooms(port), []);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('Quick Play joins the fullest open room, or opens a new public one', async () => {
+  const harness = await startGame();
+  const { game, connect, port } = harness;
+  try {
+    const eve = await connect();
+    eve.emit('quick-play', { name: 'Eve' });
+    const { code } = await once(eve, 'room-created');
+    assert.strictEqual(game.rooms.get(code).settings.public, true);
+    assert.deepStrictEqual(await openRooms(port), [[code, 1]]);
+
+    const fay = await connect();
+    fay.emit('quick-play', { name: 'Fay' });
+    assert.strictEqual((await once(fay, 'room-joined')).code, code);
+  } finally {
+    await harness.stop();
+  }
+});
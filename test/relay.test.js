@@ -0,0 +1,52 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, waitFor, createRoom, joinRoom, startRace, drive } = require('./helpers');
+
+test('a relay runner who drops and rejoins after the handoff cannot drive again', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code, sessionToken } = await createRoom(connect, 'Ann', { teamMode: 'relay' });
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    // Ann and Bob share team Red; a CPU keeps team Blue from starting empty
+    ann.emit('set-team', { roomCode: code, socketId: bob.id, team: 0 });
+    ann.emit('add-bot', { roomCode: code, difficulty: 'rookie' });
+    await settle(ann);
+    const room = game.rooms.get(code);
+    const annPlayer = room.players.get(ann.id);
+    const bobPlayer = room.players.get(bob.id);
+    assert.strictEqual(annPlayer.team, 0);
+    assert.strictEqual(bobPlayer.team, 0);
+
+    await startRace(harness, ann, code);
+    await drive(harness, ann, code, 6);
+    assert.ok(annPlayer.car.distance > 0, 'Ann drives the first leg');
+
+    // Ann drops mid-leg and isn't back in time: the baton goes to Bob
+    const handoff = once(bob, 'relay-handoff');
+    ann.disconnect();
+    await waitFor(() => annPlayer.disconnected);
+    clock.advance(15000);
+    assert.strictEqual((await handoff).to, bob.id);
+
+    // Ann comes back to her lane after all and tries to keep driving
+    const annAgain = await connect();
+    annAgain.emit('rejoin-room', { code, sessionToken });
+    await once(annAgain, 'room-rejoined');
+    clock.advance(500);
+    const annDistance = annPlayer.car.distance;
+
+    await drive(harness, annAgain, code, 6);
+    clock.advance(1000);
+    assert.strictEqual(annPlayer.relayLocked, true);
+    assert.strictEqual(annPlayer.car.distance, annDistance, 'Ann stays where she handed over');
+    assert.strictEqual(annPlayer.clickCount, 6, 'her clicks after the handoff are ignored');
+
+    await drive(harness, bob, code, 6);
+    assert.ok(bobPlayer.car.distance > 0, 'Bob drives the rest of the leg');
+  } finally {
+    await harness.stop();
+  }
+});
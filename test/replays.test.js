@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, createRoom, startRace, driveHome } = require('./helpers');
+
+test('a finished race can be replayed from its click timeline', async () => {
+  const harness = await startGame();
+  const { game, connect, port } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { clicksToFinish: 10 });
+    await startRace(harness, ann, code);
+    const annPlayer = game.rooms.get(code).players.get(ann.id);
+    const finished = once(ann, 'race-finished');
+    await driveHome(harness, ann, code, annPlayer);
+    const { replayId } = await finished;
+
+    const replay = await (await fetch(`http://localhost:${port}/api/replays/${replayId}`)).json();
+    assert.strictEqual(replay.roomCode, code);
+    assert.strictEqual(replay.distance, 10);
+    assert.strictEqual(replay.players.length, 1);
+    const [driver] = replay.players;
+    assert.strictEqual(driver.name, 'Ann');
+    assert.strictEqual(driver.clicks.length, annPlayer.clickCount);
+    assert.strictEqual(driver.clicks[0], 0);
+    assert.ok(driver.clicks.every((t, i) => i === 0 || t > driver.clicks[i - 1]));
+
+    const missing = await fetch(`http://localhost:${port}/api/replays/nothing-here`);
+    assert.strictEqual(missing.status, 404);
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createManualClock } = require('../clock');
+const { startGame, once, settle, createRoom, joinRoom, startRace, drive } = require('./helpers');
+
+// Two servers in turn on one clock and one snapshot file, like a redeploy
+async function restartAround(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mercedes-race-rooms-'));
+  const clock = createManualClock(1000000);
+  const config = { roomsSnapshotFile: path.join(dir, 'rooms.json') };
+  const first = await startGame({ clock, config });
+  let second = null;
+  const restart = async () => {
+    await first.stop();
+    second = await startGame({ clock, config });
+    return second;
+  };
+  try {
+    await run(first, restart);
+  } finally {
+    await first.stop();
+    if (second) await second.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('a race saved on shutdown resumes where it stopped once a driver is back', async () => {
+  await restartAround(async (first, restart) => {
+    const { host: ann, code, sessionToken } = await createRoom(first.connect, 'Ann');
+    const annId = ann.id;
+    await startRace(first, ann, code);
+    await drive(first, ann, code, 6);
+    const raceTime = first.clock.now() - first.game.rooms.get(code).goAt;
+
+    const warned = once(ann, 'server-restarting');
+    const harness = await restart();
+    await warned;
+    const room = harness.game.rooms.get(code);
+    assert.strictEqual(room.phase, 'racing');
+    assert.strictEqual(room.players.get(annId).disconnected, true);
+
+    // However long the downtime, no race time passes until Ann is back
+    harness.clock.advance(30000);
+    const annAgain = await harness.connect();
+    annAgain.emit('rejoin-room', { code, sessionToken });
+    const { snapshot } = await once(annAgain, 'room-rejoined');
+    assert.strictEqual(snapshot.phase, 'racing');
+    assert.strictEqual(snapshot.players[0].clickCount, 6);
+    assert.strictEqual(room.pausedAt, null);
+    assert.strictEqual(harness.clock.now() - room.goAt, raceTime);
+
+    await drive(harness, annAgain, code, 4);
+    await settle(annAgain);
+    assert.strictEqual(room.players.get(annAgain.id).clickCount, 10);
+  });
+});
+
+test('a restored race nobody comes back to is closed', async () => {
+  await restartAround(async (first, restart) => {
+    const { host: ann, code } = await createRoom(first.connect, 'Ann');
+    await startRace(first, ann, code);
+
+    const { game, clock } = await restart();
+    assert.ok(game.rooms.has(code));
+    clock.advance(60 * 1000);
+    assert.ok(!game.rooms.has(code));
+  });
+});
+
+test('a driver who misses a restored race is retired and the host role moves on', async () => {
+  await restartAround(async (first, restart) => {
+    const { host: ann, code } = await createRoom(first.connect, 'Ann');
+    const annId = ann.id;
+    const { sessionToken } = await joinRoom(first.connect, code, 'Bob');
+    await startRace(first, ann, code);
+
+    const harness = await restart();
+    const room = harness.game.rooms.get(code);
+    const bobAgain = await harness.connect();
+    bobAgain.emit('rejoin-room', { code, sessionToken });
+    await once(bobAgain, 'room-rejoined');
+    assert.strictEqual(room.pausedAt, null);
+    assert.strictEqual(room.hostSocketId, annId, 'Ann keeps the room while her seat is held');
+
+    const left = once(bobAgain, 'player-left');
+    harness.clock.advance(60 * 1000);
+    assert.deepStrictEqual(await left, { socketId: annId, newHostId: bobAgain.id });
+    assert.strictEqual(room.hostSocketId, bobAgain.id);
+    assert.strictEqual(room.phase, 'racing');
+  });
+});
+
+test("a restored lobby's timer still starts the race on time", async () => {
+  await restartAround(async (first, restart) => {
+    const { code, sessionToken } = await createRoom(first.connect, 'Ann', { lobbyTimerMs: 60000 });
+    first.clock.advance(20000);
+
+    const harness = await restart();
+    const room = harness.game.rooms.get(code);
+    assert.deepStrictEqual(room.autoStart, { reason: 'timer', startsAt: harness.clock.now() + 40000 });
+
+    const annAgain = await harness.connect();
+    annAgain.emit('rejoin-room', { code, sessionToken });
+    await once(annAgain, 'room-rejoined');
+    const started = once(annAgain, 'race-started');
+    harness.clock.advance(40000);
+    await started;
+    assert.strictEqual(room.phase, 'racing');
+  });
+});
+
+test('a lobby saved on shutdown comes back with its seats held', async () => {
+  await restartAround(async (first, restart) => {
+    const { code, sessionToken } = await createRoom(first.connect, 'Ann', { clicksToFinish: 250 });
+
+    const harness = await restart();
+    const annAgain = await harness.connect();
+    annAgain.emit('rejoin-room', { code, sessionToken });
+    const { hostId, snapshot } = await once(annAgain, 'room-rejoined');
+    assert.strictEqual(hostId, annAgain.id);
+    assert.strictEqual(snapshot.phase, 'lobby');
+    assert.strictEqual(snapshot.settings.clicksToFinish, 250);
+  });
+});
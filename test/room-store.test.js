@@ -0,0 +1,159 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createManualClock } = require('../clock');
+const { createMemoryRoomStore, createRedisRoomStore } = require('../room-store');
+
+// An in-process stand-in for the few ioredis commands the Redis store uses,
+// with key expiry on the manual clock. Each command runs on its own, so a
+// pipeline or multi is just a queue run in order on exec().
+function createFakeRedis(clock) {
+  const data = new Map();   // key → { value, expiresAt }
+
+  function entry(key) {
+    const found = data.get(key);
+    if (found && found.expiresAt !== null && found.expiresAt <= clock.now()) {
+      data.delete(key);
+      return null;
+    }
+    return found || null;
+  }
+
+  function container(key, create) {
+    if (!entry(key)) data.set(key, { value: create(), expiresAt: null });
+    return data.get(key).value;
+  }
+
+  const commands = {
+    set(key, value, ...flags) {
+      if (flags.includes('NX') && entry(key)) return null;
+      const px = flags.indexOf('PX');
+      data.set(key, { value: String(value), expiresAt: px === -1 ? null : clock.now() + Number(flags[px + 1]) });
+      return 'OK';
+    },
+    get: key => (entry(key) ? entry(key).value : null),
+    mget: (...keys) => keys.map(commands.get),
+    pexpire(key, ms) {
+      if (!entry(key)) return 0;
+      data.get(key).expiresAt = clock.now() + Number(ms);
+      return 1;
+    },
+    del: (...keys) => keys.filter(key => entry(key) && data.delete(key)).length,
+    hset(key, field, value) {
+      container(key, () => new Map()).set(field, String(value));
+      return 1;
+    },
+    hget: (key, field) => (entry(key) && entry(key).value.has(field) ? entry(key).value.get(field) : null),
+    hgetall: key => Object.fromEntries(entry(key) ? entry(key).value : []),
+    hdel: (key, ...fields) => fields.filter(field => entry(key) && entry(key).value.delete(field)).length,
+    lpush(key, ...values) {
+      const list = container(key, () => []);
+      for (const value of values) list.unshift(String(value));
+      return list.length;
+    },
+    lrange(key, start, stop) {
+      const list = entry(key) ? entry(key).value : [];
+      return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+    },
+    ltrim(key, start, stop) {
+      if (entry(key)) data.get(key).value = commands.lrange(key, start, stop);
+      return 'OK';
+    },
+  };
+
+  const client = {
+    // Only understands the store's compare-then-act scripts: the command after
+    // `then` runs when KEYS[1] still holds ARGV[1]
+    defineCommand(name, { lua }) {
+      const [, command, withArg] = lua.match(/then return redis\.call\('(\w+)', KEYS\[1\](, ARGV\[2\])?\)/);
+      addCommand(name, (key, owner, arg) => {
+        if (commands.get(key) !== String(owner)) return 0;
+        return withArg ? commands[command](key, arg) : commands[command](key);
+      });
+    },
+    pipeline: () => batch(),
+    multi: () => batch(),
+  };
+
+  function addCommand(name, run) {
+    commands[name] = run;
+    client[name] = async (...args) => run(...args);
+  }
+  Object.entries(commands).forEach(([name, run]) => addCommand(name, run));
+
+  function batch() {
+    const queued = [];
+    const chain = { exec: async () => queued.map(run => [null, run()]) };
+    for (const name of Object.keys(commands)) {
+      chain[name] = (...args) => {
+        queued.push(() => commands[name](...args));
+        return chain;
+      };
+    }
+    return chain;
+  }
+
+  return client;
+}
+
+// Both stores promise the same behaviour, so every case runs against each
+const stores = {
+  memory: (clock, options) => createMemoryRoomStore({ ...options, now: clock.now }),
+  redis: (clock, options) => createRedisRoomStore(createFakeRedis(clock), options),
+};
+
+for (const [kind, createStore] of Object.entries(stores)) {
+  test(`${kind}: a room code has one owner until the claim is released or lapses`, async () => {
+    const clock = createManualClock(0);
+    const store = createStore(clock, { claimTtlMs: 1000 });
+
+    assert.strictEqual(await store.claimRoom('ABC123', 'one'), true);
+    assert.strictEqual(await store.claimRoom('ABC123', 'two'), false);
+    assert.strictEqual(await store.ownerOf('ABC123'), 'one');
+
+    // Renewed claims outlive the TTL; another owner can't renew or release them
+    clock.advance(800);
+    await store.renewRooms('one', ['ABC123']);
+    await store.renewRooms('two', ['ABC123']);
+    await store.releaseRoom('ABC123', 'two');
+    clock.advance(800);
+    assert.strictEqual(await store.ownerOf('ABC123'), 'one');
+
+    await store.releaseRoom('ABC123', 'one');
+    assert.strictEqual(await store.ownerOf('ABC123'), null);
+    assert.strictEqual(await store.claimRoom('ABC123', 'two'), true);
+
+    // An owner that stops renewing loses the code
+    clock.advance(1000);
+    assert.strictEqual(await store.ownerOf('ABC123'), null);
+  });
+
+  test(`${kind}: public listings last only as long as their room's claim`, async () => {
+    const clock = createManualClock(0);
+    const store = createStore(clock, { claimTtlMs: 1000 });
+    await store.claimRoom('ABC123', 'one');
+    await store.claimRoom('XYZ789', 'one');
+    await store.publishRoom('ABC123', 'one', { code: 'ABC123', drivers: 1 });
+    await store.publishRoom('XYZ789', 'one', { code: 'XYZ789', drivers: 2 });
+    await store.unpublishRoom('XYZ789', 'two');
+    assert.deepStrictEqual((await store.listPublicRooms()).map(r => r.code).sort(), ['ABC123', 'XYZ789']);
+
+    await store.unpublishRoom('XYZ789', 'one');
+    clock.advance(500);
+    await store.renewRooms('one', ['ABC123']);
+    clock.advance(500);
+    assert.deepStrictEqual(await store.listPublicRooms(), [{ code: 'ABC123', drivers: 1 }]);
+
+    clock.advance(1000);
+    assert.deepStrictEqual(await store.listPublicRooms(), []);
+  });
+
+  test(`${kind}: only the most recent replays are kept`, async () => {
+    const store = createStore(createManualClock(0), { maxReplays: 2 });
+    for (const id of ['r1', 'r2', 'r3']) await store.saveReplay({ id, players: [] });
+    assert.strictEqual(await store.getReplay('r1'), null);
+    assert.deepStrictEqual(await store.getReplay('r2'), { id: 'r2', players: [] });
+    assert.deepStrictEqual(await store.getReplay('r3'), { id: 'r3', players: [] });
+  });
+}
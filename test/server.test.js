@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, createRoom, startRace } = require('./helpers');
+
+test('instances created in one process keep their rooms to themselves', async () => {
+  const first = await startGame({ config: { instanceId: 'first' } });
+  const second = await startGame({ config: { instanceId: 'second' } });
+  try {
+    const { code } = await createRoom(first.connect, 'Ann');
+    assert.ok(first.game.rooms.has(code));
+    assert.strictEqual(second.game.rooms.size, 0);
+
+    const visitor = await second.connect();
+    visitor.emit('join-room', { code, name: 'Bob' });
+    assert.match((await once(visitor, 'join-error')).reason, /Room not found/);
+
+    const health = await (await fetch(`http://localhost:${first.port}/health`)).json();
+    assert.strictEqual(health.instance, 'first');
+    assert.strictEqual(health.rooms, 1);
+  } finally {
+    await first.stop();
+    await second.stop();
+  }
+});
+
+test('race time only passes when the injected clock moves', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { raceTimeoutMs: 30000 });
+    await startRace(harness, ann, code);
+    const room = game.rooms.get(code);
+
+    clock.advance(29999);
+    assert.strictEqual(room.phase, 'racing');
+
+    const finished = once(ann, 'race-finished');
+    clock.advance(1);
+    const { results } = await finished;
+    assert.strictEqual(room.phase, 'finished');
+    assert.strictEqual(results.length, 1);
+    assert.strictEqual(results[0].dnf, true);
+  } finally {
+    await harness.stop();
+  }
+});
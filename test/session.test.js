@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, waitFor, createRoom, joinRoom, startRace, drive } = require('./helpers');
+
+test('a host who drops in the lobby gets the same seat back', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code, sessionToken } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    const room = game.rooms.get(code);
+    const annId = ann.id;   // the client forgets its id on disconnect
+    const annPlayer = room.players.get(annId);
+    const color = annPlayer.carColor;
+
+    const dropped = once(bob, 'player-disconnected');
+    ann.disconnect();
+    assert.strictEqual((await dropped).socketId, annId);
+
+    const annAgain = await connect();
+    const rejoined = once(bob, 'player-rejoined');
+    annAgain.emit('rejoin-room', { code, sessionToken });
+    const { hostId, snapshot } = await once(annAgain, 'room-rejoined');
+    assert.strictEqual(hostId, annAgain.id);
+    assert.strictEqual(snapshot.phase, 'lobby');
+    assert.deepStrictEqual(snapshot.players.map(p => p.name), ['Ann', 'Bob']);
+    assert.strictEqual(snapshot.players[0].carColor, color);
+    assert.strictEqual((await rejoined).previousSocketId, annId);
+    assert.strictEqual(room.players.get(annAgain.id), annPlayer);
+    assert.strictEqual(annPlayer.disconnected, false);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('a dropped lobby seat is given up once the grace period runs out', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob, sessionToken } = await joinRoom(connect, code, 'Bob');
+    const room = game.rooms.get(code);
+    const bobPlayer = room.players.get(bob.id);
+
+    bob.disconnect();
+    await waitFor(() => bobPlayer.disconnected);
+    clock.advance(14999);
+    assert.ok(room.players.has(bobPlayer.socketId));
+
+    const left = once(ann, 'player-left');
+    clock.advance(1);
+    assert.strictEqual((await left).socketId, bobPlayer.socketId);
+    assert.ok(!room.players.has(bobPlayer.socketId));
+
+    const bobAgain = await connect();
+    bobAgain.emit('rejoin-room', { code, sessionToken });
+    assert.match((await once(bobAgain, 'rejoin-failed')).reason, /expired/);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('a driver who rejoins mid-race keeps their progress and can drive on', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob, sessionToken } = await joinRoom(connect, code, 'Bob');
+    await startRace(harness, ann, code);
+    await drive(harness, bob, code, 6);
+    const room = game.rooms.get(code);
+    const bobPlayer = room.players.get(bob.id);
+    assert.strictEqual(bobPlayer.clickCount, 6);
+
+    bob.disconnect();
+    await waitFor(() => bobPlayer.disconnected);
+    const bobAgain = await connect();
+    bobAgain.emit('rejoin-room', { code, sessionToken });
+    const { snapshot } = await once(bobAgain, 'room-rejoined');
+    assert.strictEqual(snapshot.phase, 'racing');
+    assert.strictEqual(snapshot.players.find(p => p.socketId === bobAgain.id).clickCount, 6);
+    assert.strictEqual(room.players.size, 2);
+
+    await drive(harness, bobAgain, code, 4);
+    await settle(bobAgain);
+    assert.strictEqual(bobPlayer.clickCount, 10);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('a host who drops mid-race keeps the seat and the host role while the grace period lasts', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code, sessionToken } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    await startRace(harness, ann, code);
+    const room = game.rooms.get(code);
+    const annId = ann.id;
+    const annPlayer = room.players.get(annId);
+
+    const dropped = once(bob, 'player-disconnected');
+    ann.disconnect();
+    assert.strictEqual((await dropped).socketId, annId);
+    clock.advance(14999);
+    assert.strictEqual(room.hostSocketId, annId);
+    assert.strictEqual(room.phase, 'racing');
+
+    const annAgain = await connect();
+    annAgain.emit('rejoin-room', { code, sessionToken });
+    assert.strictEqual((await once(annAgain, 'room-rejoined')).hostId, annAgain.id);
+    clock.advance(1);
+    await settle(annAgain);
+    assert.strictEqual(annPlayer.disconnected, false);
+    assert.strictEqual(room.hostSocketId, annAgain.id);
+
+    await drive(harness, annAgain, code, 4);
+    assert.strictEqual(annPlayer.clickCount, 4);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('a host who does not come back mid-race is retired and hands over the room', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    await startRace(harness, ann, code);
+    const room = game.rooms.get(code);
+    const annId = ann.id;
+
+    ann.disconnect();
+    await waitFor(() => room.players.get(annId).disconnected);
+    const left = once(bob, 'player-left');
+    clock.advance(15000);
+    assert.deepStrictEqual(await left, { socketId: annId, newHostId: bob.id });
+    assert.strictEqual(room.hostSocketId, bob.id);
+    assert.ok(room.players.has(annId), 'Ann keeps her lane');
+    assert.strictEqual(room.phase, 'racing');
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, createRoom, joinRoom } = require('./helpers');
+
+test('the host sets race rules, within limits, for everyone in the room', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    const room = game.rooms.get(code);
+
+    const seen = once(bob, 'settings-updated');
+    ann.emit('update-settings', { roomCode: code, settings: { clicksToFinish: 50, lastChanceMs: 0 } });
+    const { settings } = await seen;
+    assert.strictEqual(settings.clicksToFinish, 50);
+    assert.strictEqual(settings.lastChanceMs, 0);
+
+    ann.emit('update-settings', { roomCode: code, settings: { clicksToFinish: 5 } });
+    const tooShort = await once(ann, 'settings-error');
+    assert.strictEqual(tooShort.reason, 'Distance must be a whole number between 10 and 1000.');
+    assert.strictEqual(tooShort.settings.clicksToFinish, 50);
+
+    ann.emit('update-settings', { roomCode: code, settings: { maxDrivers: 1 } });
+    assert.strictEqual((await once(ann, 'settings-error')).reason, 'There are already 2 drivers in the room.');
+
+    // Only the host's changes count
+    bob.emit('update-settings', { roomCode: code, settings: { clicksToFinish: 999 } });
+    await settle(bob);
+    assert.strictEqual(room.settings.clicksToFinish, 50);
+
+    ann.emit('start-race', { roomCode: code });
+    assert.strictEqual((await once(bob, 'race-started')).settings.clicksToFinish, 50);
+  } finally {
+    await harness.stop();
+  }
+});
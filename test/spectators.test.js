@@ -0,0 +1,53 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, createRoom, startRace } = require('./helpers');
+
+test('a late joiner watches the race, then drives the next one', async () => {
+  const harness = await startGame();
+  const { game, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    await startRace(harness, ann, code);
+
+    const carl = await connect();
+    const announced = once(ann, 'spectator-joined');
+    carl.emit('join-room', { code, name: 'Carl' });
+    const joined = await once(carl, 'room-joined');
+    assert.strictEqual(joined.spectator, true);
+    assert.strictEqual(joined.snapshot.phase, 'racing');
+    assert.deepStrictEqual((await announced).spectator, {
+      socketId: carl.id, name: 'Carl', wantsToDrive: true, disconnected: false,
+    });
+
+    // Clicks from the stands don't count
+    const room = game.rooms.get(code);
+    carl.emit('click', { roomCode: code, key: 'a' });
+    await settle(carl);
+    assert.ok(!room.players.has(carl.id));
+    assert.strictEqual(room.players.get(ann.id).clickCount, 0);
+
+    ann.emit('reset-room', { roomCode: code });
+    const { players, spectators } = await once(carl, 'room-reset');
+    assert.deepStrictEqual(players.map(p => p.name), ['Ann', 'Carl']);
+    assert.deepStrictEqual(spectators, []);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('a full room seats newcomers in the stands', async () => {
+  const harness = await startGame();
+  const { connect } = harness;
+  try {
+    const { code } = await createRoom(connect, 'Ann', { maxDrivers: 1 });
+    const bob = await connect();
+    bob.emit('join-room', { code, name: 'Bob' });
+    const joined = await once(bob, 'room-joined');
+    assert.strictEqual(joined.spectator, true);
+    assert.strictEqual(joined.snapshot.phase, 'lobby');
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, settle, createRoom, joinRoom, driveHome } = require('./helpers');
+
+test('GO is a server time and finish times are measured from it', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { clicksToFinish: 10, startDelay: 4000 });
+    const startedAt = clock.now();
+    ann.emit('start-race', { roomCode: code });
+    const { goAt, startDelay } = await once(ann, 'race-started');
+    assert.strictEqual(startDelay, 4000);
+    assert.strictEqual(goAt, startedAt + 4000);
+
+    clock.advance(goAt - clock.now());
+    const annPlayer = game.rooms.get(code).players.get(ann.id);
+    const finished = once(ann, 'race-finished');
+    await driveHome(harness, ann, code, annPlayer);
+    const { results } = await finished;
+    assert.strictEqual(results[0].finishTime, annPlayer.finishedAt - goAt);
+  } finally {
+    await harness.stop();
+  }
+});
+
+test('input before GO is rejected and holds the driver at the line', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { falseStartPenaltyMs: 1000 });
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    ann.emit('start-race', { roomCode: code });
+    const { goAt } = await once(ann, 'race-started');
+    const annPlayer = game.rooms.get(code).players.get(ann.id);
+
+    clock.advance(goAt - clock.now() - 200);
+    const rejected = once(ann, 'click-rejected');
+    const announced = once(bob, 'false-start');
+    ann.emit('click', { roomCode: code, key: 'a' });
+    assert.strictEqual((await rejected).reason, 'false-start');
+    assert.deepStrictEqual(await announced, { socketId: ann.id, penaltyMs: 1000 });
+    assert.strictEqual(annPlayer.clickCount, 0);
+
+    // Past GO but inside the penalty
+    clock.advance(700);
+    const held = once(ann, 'click-rejected');
+    ann.emit('click', { roomCode: code, key: 'a' });
+    assert.strictEqual((await held).reason, 'penalty');
+
+    // Bob, who waited, drives straight away
+    bob.emit('click', { roomCode: code, key: 'a' });
+    await settle(bob);
+    assert.strictEqual(game.rooms.get(code).players.get(bob.id).clickCount, 1);
+
+    clock.advance(500);
+    ann.emit('click', { roomCode: code, key: 'a' });
+    await settle(ann);
+    assert.strictEqual(annPlayer.clickCount, 1);
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, once, createRoom, joinRoom, startRace, driveHome } = require('./helpers');
+
+test('a team race is won by the first team to bring every driver home', async () => {
+  const harness = await startGame();
+  const { game, clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann', { teamMode: 'sum', clicksToFinish: 10 });
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    const room = game.rooms.get(code);
+    assert.strictEqual(room.players.get(ann.id).team, 0);
+    assert.strictEqual(room.players.get(bob.id).team, 1);
+
+    await startRace(harness, ann, code);
+    const teamFinished = once(bob, 'team-finished');
+    await driveHome(harness, ann, code, room.players.get(ann.id));
+    const { team, rank } = await teamFinished;
+    assert.deepStrictEqual([team, rank], [0, 1]);
+
+    // Blue runs out of last-chance time
+    const finished = once(bob, 'race-finished');
+    clock.advance(room.settings.lastChanceMs);
+    const { teams } = await finished;
+    assert.deepStrictEqual(teams.map(t => [t.name, t.rank, !!t.dnf]), [['Red', 1, false], ['Blue', 2, true]]);
+  } finally {
+    await harness.stop();
+  }
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGame, settle, createRoom, joinRoom, startRace, drive } = require('./helpers');
+
+test('progress broadcasts only carry the drivers who moved', async () => {
+  const harness = await startGame();
+  const { clock, connect } = harness;
+  try {
+    const { host: ann, code } = await createRoom(connect, 'Ann');
+    const { socket: bob } = await joinRoom(connect, code, 'Bob');
+    const updates = [];
+    ann.on('progress-update', ([seq, keyframe, drivers, teams]) => updates.push({ seq, keyframe, drivers, teams }));
+
+    // A quiet room only sends a keyframe every couple of seconds
+    await startRace(harness, ann, code);
+    clock.advance(4000);
+    await settle(ann);
+    assert.strictEqual(updates.length, 4);
+    for (const update of updates) {
+      assert.strictEqual(update.keyframe, true);
+      assert.deepStrictEqual(update.drivers, [ann.id, 0, bob.id, 0]);
+      assert.strictEqual(update.teams, null);
+    }
+
+    // Once Ann drives, the updates in between keyframes are hers alone
+    await drive(harness, ann, code, 3);
+    clock.advance(300);
+    await settle(ann);
+    const deltas = updates.slice(4).filter(u => !u.keyframe);
+    assert.ok(deltas.length > 0);
+    for (const update of deltas) {
+      assert.strictEqual(update.drivers.length, 2);
+      assert.strictEqual(update.drivers[0], ann.id);
+      assert.ok(update.drivers[1] > 0);
+    }
+
+    assert.deepStrictEqual(updates.map(u => u.seq), updates.map((_, i) => i + 1));
+  } finally {
+    await harness.stop();
+  }
+});